@@ -0,0 +1,53 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Offline support for the deployed dashboard.
+ *
+ *  - page navigations: network first, cached app shell when offline
+ *  - same-origin static files (hashed JS/CSS, icons): cache first
+ *  - everything else (the Google Sheets export) passes through – the
+ *    workbook itself is cached as a parsed snapshot in IndexedDB
+ *
+ * Bump CACHE when the caching rules change; old caches are dropped.
+ */
+const CACHE = "natstrat-shell-v1";
+const SHELL = ["./", "./index.html", "./manifest.json", "./favicon.ico"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE).then((c) => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const putInCache = (req, res) => {
+  if (res.ok) {
+    const copy = res.clone();
+    caches.open(CACHE).then((c) => c.put(req, copy));
+  }
+  return res;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => putInCache("./index.html", res))
+        .catch(() => caches.match("./index.html"))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((hit) => hit || fetch(request).then((res) => putInCache(request, res)))
+  );
+});
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * ------------------------------------------------------------------
+ * Workbook ➜ JSON snapshot (see src/strategyModel.js)
+ * ------------------------------------------------------------------
+ *   npm run snapshot -- strategy.xlsx [snapshot.json] [--strict]
+ * Writes to stdout without an output path. Data issues are listed on
+ * stderr; --strict exits with 1 when one of them is an error.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseStrategy, snapshotToJson } from "../src/strategyModel.js";
+
+const args = process.argv.slice(2);
+const strict = args.includes("--strict");
+const [input, output] = args.filter((a) => !a.startsWith("--"));
+
+if (!input) {
+  console.error("Usage: npm run snapshot -- <workbook.xlsx> [snapshot.json] [--strict]");
+  process.exit(2);
+}
+
+let model;
+try {
+  model = parseStrategy(await readFile(input));
+} catch (err) {
+  console.error(`Could not read ${input}: ${err.message}`);
+  process.exit(1);
+}
+
+model.issues.forEach((i) =>
+  console.error(`${i.level}: ${i.sheet}${i.row ? ` row ${i.row}` : ""} – ${i.message}`)
+);
+
+const json = snapshotToJson(model, { source: basename(input) });
+if (output) {
+  await writeFile(output, `${json}\n`);
+  const measures = model.pillars.reduce((n, p) => n + p.measures.length, 0);
+  console.error(`Wrote ${output}: ${model.pillars.length} pillars, ${measures} measures`);
+} else {
+  process.stdout.write(`${json}\n`);
+}
+
+if (strict && model.issues.some((i) => i.level === "error")) process.exit(1);
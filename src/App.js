@@ -1,5 +1,4 @@
-import { useEffect, useState, useMemo, useCallback } from "react";
-import * as XLSX from "xlsx";
+import { useEffect, useState, useMemo, useCallback, useRef } from "react";
 import {
   Container,
   Box,
@@ -11,77 +10,194 @@ import {
   Paper,
   Tabs,
   Tab,
-  Accordion,
-  AccordionSummary,
-  AccordionDetails,
   Button,
+  Alert,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
     Dialog, DialogTitle, DialogContent, DialogActions,
-  FormControlLabel, Checkbox
+  FormControlLabel, Checkbox, Radio, RadioGroup, FormLabel, Switch, Tooltip,
+  CssBaseline
 } from "@mui/material";
-import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
-import { DataGrid, GridToolbar } from "@mui/x-data-grid";
-import { groupBy } from "lodash";
+import { ThemeProvider } from "@mui/material/styles";
 import SearchIcon from '@mui/icons-material/Search';   // add at top
-import jsPDF from 'jspdf';
-import 'jspdf-autotable';
-import PictureAsPdfIcon from '@mui/icons-material/PictureAsPdf';
-import autoTable from 'jspdf-autotable';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import SlideshowIcon from "@mui/icons-material/Slideshow";
+import StorageIcon from "@mui/icons-material/Storage";
+import {
+  FALLBACK_BG,
+  norm,
+  splitList,
+  isYearField,
+  displayFields,
+  measureKey,
+  yearFields,
+  rowMatches,
+  textOn,
+} from "./helpers";
+import { exportPdfReport } from "./pdfReport";
+import { exportExcel, exportCsv } from "./spreadsheetExport";
+import { searchRows } from "./search";
+import { parseHash, useUrlSync } from "./urlState";
+import ProgressView from "./ProgressView";
+import ChangesView from "./ChangesView";
+import ScorecardView from "./ScorecardView";
+import PresentationView from "./PresentationView";
+import { buildSlides, toAdvance } from "./slides";
+import DataIssuesPanel from "./DataIssuesPanel";
+import { loadWorkbook, parseWorkbook } from "./workbook";
+import { loadSnapshot, saveSnapshot } from "./snapshotCache";
+import {
+  initialSource,
+  rememberSource,
+  cacheKey,
+  sourceLabel,
+  spreadsheetUrl,
+} from "./dataSource";
+import DataSourceDialog from "./DataSourceDialog";
+import MeasureDrawer from "./MeasureDrawer";
+import GroupedGrid from "./GroupedGrid";
+import { GROUPINGS, SORTS, groupRows, sortRows } from "./grouping";
+import { DEFAULT_STATUSES, statusVocabulary, statusClass, statusSx } from "./statuses";
+import StatusLegend from "./StatusLegend";
+import StatusIcon from "./StatusIcon";
+import { describeFilters } from "./filterSummary";
+import { loadViews, storeViews, makeView } from "./savedViews";
+import SavedViewsMenu from "./SavedViewsMenu";
+import { EMPTY_LAYOUT, loadLayouts, storeLayouts, orderFields, pinnedColumnSx } from "./columnLayout";
+import ColumnLayoutMenu from "./ColumnLayoutMenu";
+import { LANGUAGES, DEFAULT_LANG, toLang, translator, localizeSheets } from "./i18n";
+import { DEFAULT_OVERRIDES, displayLabels } from "./labels";
+import { brandingFromUrl, resolveBranding } from "./branding";
+import { brandTheme } from "./theme";
+import { embedOptions, useAutoSize } from "./embed";
 /**
  * ------------------------------------------------------------------
  * 0  | CONFIG
  * ------------------------------------------------------------------
  */
-const SPREADSHEET_ID = "1eSsGajvwtzHQFCpYaE_Rhqla7-9KVTktwE5QSHfh4-A";
-const XLSX_URL = `https://docs.google.com/spreadsheets/d/${SPREADSHEET_ID}/export?format=xlsx`;
-
+// The spreadsheet is chosen at runtime – see ./dataSource
 const LIGHT_BLUE = "#E3F2FD"; // background for rows that contain the tag "blue"
-const FALLBACK_BG = "#e0e0e0"; // neutral when no colour is supplied in Config
-// Helper – safe trim
-const trim = (v) => (typeof v === "string" ? v.trim() : v);
+const VIEWS = ["tables", "progress", "changes", "scorecards"];
+const toView = (v) => (VIEWS.includes(v) ? v : "tables");
+const ALL_TAB = "*"; // "All" tab – "*" can never be a sheet name
+const toGrouping = (g) => (GROUPINGS[g] ? g : "category");
+const toSort = (s) => (SORTS[s] ? s : "relevance");
 
 /**
  * ------------------------------------------------------------------
- * 1  | Helpers
+ * 1  | Helpers (shared ones live in ./helpers)
  * ------------------------------------------------------------------
  */
-const title = (s) =>
-  trim(s).replace(/\b\w+\b/g, (word) => {
-    const lower = word.toLowerCase();
-    if (lower === "it") return "IT";                     // special case
-    if (lower === "nc") return "NC";                     // special case
-    if (lower === "ic") return "IC";                     // special case
-    if (lower === "pr") return "PR";                     // special case
-    if (lower === "hr") return "HR";                     // special case
-    if (lower === "ue") return "UE";                     // special case
-
-
-
-    return lower.charAt(0).toUpperCase() + lower.slice(1);
-  });
-const norm = (s) => trim(s).toLowerCase();          // unify case/space
-const hex   = (c) => c.startsWith("#") ? c : `#${c}`; // add “#” if missing
-
-async function loadWorkbook(url) {
-  const buf = await fetch(url).then((r) => r.arrayBuffer());
-  return XLSX.read(buf, { type: "array" });
+// `value` once it has stopped changing for `delay` ms – typing in the search
+// box re-filters once per pause, not once per key
+function useDebounced(value, delay) {
+  const [settled, setSettled] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setSettled(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return settled;
 }
 
-function sheetToRows(sheet) {
-  const raw = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "" });
-  const headerIdx = raw.findIndex((r) => r.some((c) => String(c).toLowerCase().includes("measure")));
-  const headers = raw[headerIdx].map((h) => trim(h));
-  const dataRows = raw.slice(headerIdx + 1).filter((r) => r.some((c) => trim(c) !== ""));
-  return dataRows.map((row, i) => {
-    const obj = { id: i };
-    headers.forEach((h, idx) => (obj[h] = trim(row[idx])));
-    return obj;
-  });
+// Measures text with the fuzzy-search hits marked; `ranges` = [[start, end], …]
+function Highlighted({ text, ranges }) {
+  if (!ranges?.length) return text;
+  const parts = [];
+  let pos = 0;
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start < pos) return; // overlapping hit
+      parts.push(text.slice(pos, start));
+      parts.push(<mark key={start}>{text.slice(start, end + 1)}</mark>);
+      pos = end + 1;
+    });
+  parts.push(text.slice(pos));
+  return parts;
+}
+
+// Chip click: include / drop the value; shift-click: exclude / drop it.
+// A value is never included and excluded at the same time.
+const toggleChip = (setInclude, setExclude) => (rawLabel, exclude = false) => {
+  const drop = (prev) => prev.filter((x) => norm(x) !== norm(rawLabel));
+  const [setOn, setOff] = exclude ? [setExclude, setInclude] : [setInclude, setExclude];
+  setOn((prev) => (prev.some((x) => norm(x) === norm(rawLabel)) ? drop(prev) : [...prev, rawLabel]));
+  setOff(drop);
+};
+
+// Selected portfolio / tag in the filter bar – exclusions are struck through
+// and outlined, so the state does not hinge on the chip colour
+function FilterChip({ label, colour, excluded, onFlip, onDelete, t }) {
+  return (
+    <Tooltip title={t(excluded ? "chip.excludedHint" : "chip.includedHint")}>
+      <Chip
+        label={label}
+        aria-label={t(excluded ? "chip.excludedLabel" : "chip.includedLabel", { label })}
+        onClick={(e) => e.shiftKey && onFlip()}
+        onDelete={onDelete}
+        sx={{
+          bgcolor: colour,
+          color: textOn(colour),
+          ...(excluded && {
+            outline: "2px dashed currentColor",
+            outlineOffset: -2,
+            "& .MuiChip-label": { textDecoration: "line-through" },
+          }),
+        }}
+      />
+    </Tooltip>
+  );
+}
+
+// Portfolio / tag chips of a grid cell. Only the focused cell's chips are
+// tabbable (cell ➜ Tab ➜ its chips in order), so Tab does not walk every
+// chip of the grid; Enter toggles the filter, Shift+Enter excludes.
+function CellChips({ values, colours, label, hasFocus, onToggle, ariaLabel }) {
+  return (
+    <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}>
+      {values.map((v) => (
+        <Chip
+          key={v}
+          label={label(v)}
+          aria-label={ariaLabel(label(v))}
+          size="small"
+          clickable
+          tabIndex={hasFocus ? 0 : -1}
+          onClick={(e) => {
+            e.stopPropagation(); // not a row click
+            onToggle(v, e.shiftKey);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" || e.key === " ") e.stopPropagation(); // the chip's, not the grid's
+          }}
+          sx={{ bgcolor: colours.get(v) || FALLBACK_BG, color: textOn(colours.get(v) || FALLBACK_BG) }}
+        />
+      ))}
+    </Box>
+  );
+}
+
+// any / all switch of a chip family
+function MatchMode({ value, onChange, label, t }) {
+  return (
+    <ToggleButtonGroup
+      size="small"
+      exclusive
+      value={value}
+      onChange={(_, v) => v && onChange(v)}
+      aria-label={t("match.label", { family: label })}
+      sx={{ ml: -1 }}
+    >
+      <ToggleButton value="any" sx={{ py: 0.25 }}>
+        {t("match.any")}
+      </ToggleButton>
+      <ToggleButton value="all" sx={{ py: 0.25 }}>
+        {t("match.all")}
+      </ToggleButton>
+    </ToggleButtonGroup>
+  );
 }
-const filteredRows = (rowsArr) =>
-  rowsArr.filter((r) => {
-    /* same three checks you have in useMemo,
-       just replace rows with rowsArr          */
-  });
 
 /**
  * ------------------------------------------------------------------
@@ -90,308 +206,435 @@ const filteredRows = (rowsArr) =>
  */
 export default function EnhancedDashboard() {
   const [tabs, setTabs] = useState([]);
-  const [rowsByTab, setRowsByTab] = useState({});
-  const [tabIdx, setTabIdx] = useState(0);
+  const [sheetRows, setSheetRows] = useState({}); // rows as read, language columns unresolved
+  const [initialUrl] = useState(() => parseHash()); // deep-link state on landing
+  const [lang, setLang] = useState(toLang(initialUrl.lang)); // UI & content language
+  const [tab, setTab] = useState(initialUrl.tab); // sheet name, resolved once tabs load
+  const [view, setView] = useState(toView(initialUrl.view));
+  const [card, setCard] = useState(initialUrl.card); // portfolio of the scorecards view
+  const [presenting, setPresenting] = useState(Boolean(initialUrl.present)); // full-screen slides
+  const [advance, setAdvance] = useState(toAdvance(initialUrl.advance)); // their auto-advance, seconds
   const [loading, setLoading] = useState(true);
+  const [dataInfo, setDataInfo] = useState({ asOf: null, cached: false, refreshing: false, error: null });
+  const [reloadKey, setReloadKey] = useState(0); // bump to re-fetch the workbook
+  const [source, setSource] = useState(initialSource);
+  const [openSource, setOpenSource] = useState(false);
 
-  const [portfolios, setPortfolios] = useState([]);
+  const [portfolios, setPortfolios] = useState(initialUrl.portfolios);
+  const [notPortfolios, setNotPortfolios] = useState(initialUrl.notPortfolios); // shift-clicked exclusions
+  const [portfolioMode, setPortfolioMode] = useState(initialUrl.portfolioMode); // any | all
   const [portfolioOptions, setPortfolioOptions] = useState([]);
   const [portfolioColours, setPortfolioColours] = useState(new Map()); // A‑name ➜ D‑hex
 
-  const [tags, setTags] = useState([]);
+  const [tags, setTags] = useState(initialUrl.tags);
+  const [notTags, setNotTags] = useState(initialUrl.notTags);
+  const [tagMode, setTagMode] = useState(initialUrl.tagMode);
   const [tagOptions, setTagOptions] = useState([]);
   const [tagColours, setTagColours] = useState(new Map()); // C‑name ➜ B‑hex
-  const [query, setQuery] = useState('');
+  const [issues, setIssues] = useState([]); // workbook validation results
+  const [statuses, setStatuses] = useState(DEFAULT_STATUSES); // Config F–J vocabulary
+  const [labelOverrides, setLabelOverrides] = useState(DEFAULT_OVERRIDES); // Config K–L display overrides
+  const [configBranding, setConfigBranding] = useState({}); // Config N–O title, logo & colours
+  const [embedding, setEmbedding] = useState(() => embedOptions(initialUrl)); // embed, chrome, columns, brand
+  const [statusFilter, setStatusFilter] = useState(initialUrl.statuses); // status keys, "" = none recorded
+  const [filterYear, setFilterYear] = useState(initialUrl.year); // year the statuses apply to, "" = latest
+  const [changedYears, setChangedYears] = useState(initialUrl.changed); // [from, to] or []
+  const [query, setQuery] = useState(initialUrl.query);
+  const [measureRef, setMeasureRef] = useState(initialUrl.measure); // "sheet:number" shown in the drawer
+  const [grouping, setGrouping] = useState(toGrouping(initialUrl.group));
+  const [sort, setSort] = useState(toSort(initialUrl.sort));
+  const [layouts, setLayouts] = useState(loadLayouts); // sheet ➜ column layout, shared by its grids
+  const [collapsed, setCollapsed] = useState([]); // group keys of folded groups
+  const [views, setViews] = useState(loadViews); // saved views (localStorage)
   
 const [openExport, setOpenExport] = useState(false);
 const [inclFilters, setInclFilters] = useState(true);   // default = honour filters
+const [exportFormat, setExportFormat] = useState("pdf"); // pdf | xlsx | csv
+const [exportScope, setExportScope] = useState("all");   // all pillars | current tab
+const [inclHidden, setInclHidden] = useState(false);     // Update / Materials columns
 
-  const hasSame = (arr, raw) =>
-  arr.some((x) => norm(x) === norm(raw));
+  const togglePortfolio = useMemo(() => toggleChip(setPortfolios, setNotPortfolios), []);
+  const toggleTag = useMemo(() => toggleChip(setTags, setNotTags), []);
 
-  const togglePortfolio = useCallback(
-  (rawLabel) =>
-    setPortfolios((prev) =>
-        hasSame(prev, rawLabel)
-        ? prev.filter((p) => norm(p) !== norm(rawLabel))
-        : [...prev, rawLabel]
-    ),
+const toggleStatus = useCallback(
+  (key) => setStatusFilter((prev) => (prev.includes(key) ? prev.filter((s) => s !== key) : [...prev, key])),
   []
 );
 
-const toggleTag = useCallback(
-  (rawLabel) =>
-    setTags((prev) =>
-        hasSame(prev, rawLabel)
-        ? prev.filter((t) => norm(t) !== norm(rawLabel))
-        : [...prev, rawLabel]
-    ),
-  []
-);
+  const searchQuery = useDebounced(query, 250); // the box shows `query` as typed
+  const filters = useMemo(
+    () => ({
+      portfolios,
+      notPortfolios,
+      portfolioMode,
+      tags,
+      notTags,
+      tagMode,
+      statuses: statusFilter,
+      year: filterYear,
+      changed: changedYears,
+      query: searchQuery,
+    }),
+    [portfolios, notPortfolios, portfolioMode, tags, notTags, tagMode, statusFilter, filterYear, changedYears, searchQuery]
+  );
+  const model = useMemo(
+    () => ({
+      tabs,
+      rowsByTab: sheetRows,
+      portfolioOptions,
+      tagOptions,
+      portfolioColours,
+      tagColours,
+      statuses,
+      labelOverrides,
+      issues,
+    }),
+    [tabs, sheetRows, portfolioOptions, tagOptions, portfolioColours, tagColours, statuses, labelOverrides, issues]
+  );
+  const t = useMemo(() => translator(lang), [lang]);
+  // Config title / logo / colours, overridden by the link (see ./branding)
+  const branding = useMemo(
+    () => resolveBranding(configBranding, brandingFromUrl(embedding.brand)),
+    [configBranding, embedding.brand]
+  );
+  const theme = useMemo(() => brandTheme(branding), [branding]);
+  const title = branding.title || t("app.title");
+  const embedded = Boolean(embedding.embed); // inside a partner's iframe (see ./embed)
+  const chrome = !embedded || embedding.chrome !== "0"; // heading, tabs, filters & legend
+  useAutoSize(embedded);
+  useEffect(() => {
+    document.title = title;
+  }, [title]);
+  const vocab = useMemo(() => statusVocabulary(statuses, t), [statuses, t]);
+  // portfolio / tag names as Config writes them
+  const labels = useMemo(
+    () => displayLabels({ names: [...portfolioOptions, ...tagOptions], overrides: labelOverrides }),
+    [portfolioOptions, tagOptions, labelOverrides]
+  );
+  // "Measures (DE)" / "Measures (EN)" ➜ "Measures" in the current language
+  const rowsByTab = useMemo(() => localizeSheets(sheetRows, lang), [sheetRows, lang]);
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
 
 function handleExport(applyFilters) {
-  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
-  const pageWidth = doc.internal.pageSize.getWidth();
-
-  tabs.forEach((tabName, idx) => {
-    // 1.  collect rows for this tab
-    const allRows    = rowsByTab[tabName];
-    const tableRows  = applyFilters ? filteredRows(allRows) : allRows;  // reuse your same filter fn
-    if (!tableRows.length) return;                                      // skip empty pillar
-
-    // 2.  work out the columns once
-    if (idx === 0) doc.setFontSize(18);
-    doc.text(tabName, 40, idx === 0 ? 60 : doc.internal.pageSize.getHeight() - 740);
-
-    const tableCols = columns.map((c) => ({ header: c.headerName, dataKey: c.field }));
-
-    autoTable(doc, {
-      startY: idx === 0 ? 80 : undefined,   // after the pillar header
-      head: [tableCols.map((c) => c.header)],
-      body: tableRows.map((r) => tableCols.map((c) => r[c.dataKey])),
-      styles: { fontSize: 8, overflow: 'linebreak', cellWidth: 'wrap' },
-      theme: 'grid',
-      margin: { left: 40, right: 40 },
-      didDrawPage: (d) => {
-        // page footer
-        doc.setFontSize(10);
-        doc.text(`Page ${doc.getNumberOfPages()}`, pageWidth - 60, doc.internal.pageSize.getHeight() - 20);
-      },
-      addPageContent: idx !== 0,            // create new page per pillar
-      showHead: 'everyPage'
-    });
-
-    if (idx < tabs.length - 1) doc.addPage();   // make space for next pillar
-  });
-
-  doc.save(applyFilters ? 'strategy_filtered.pdf' : 'strategy_all.pdf');
+  // the current tab only when a single sheet is open
+  const exportTabs = exportScope === "tab" && !isAll && activeTab ? [activeTab] : tabs;
+  const opts = { tabs: exportTabs, rowsByTab, filters, applyFilters, vocab, labels, t };
+  if (exportFormat === "xlsx") exportExcel({ ...opts, includeHidden: inclHidden, portfolioColours, tagColours });
+  else if (exportFormat === "csv") exportCsv({ ...opts, includeHidden: inclHidden });
+  else exportPdfReport({ ...opts, title });
 }
   // ---------------------------------------------------------------
   // 2.1 | Load workbook & derive look‑ups
   // ---------------------------------------------------------------
+  const applyModel = useCallback((m) => {
+    setPortfolioOptions(m.portfolioOptions);
+    setTagOptions(m.tagOptions);
+    setPortfolioColours(m.portfolioColours);
+    setTagColours(m.tagColours);
+    setTabs(m.tabs);
+    setSheetRows(m.rowsByTab);
+    setIssues(m.issues ?? []); // snapshots from older versions carry none
+    setStatuses(m.statuses ?? DEFAULT_STATUSES);
+    setLabelOverrides(m.labelOverrides ?? DEFAULT_OVERRIDES);
+    setConfigBranding(m.branding ?? {});
+    setLoading(false);
+  }, []);
+
+  // The file just chosen, shown as parsed – the snapshot cache may refuse it
+  const uploaded = useRef(null); // { source, model, asOf }
+
+  // Saved snapshot first (instant, works offline), live workbook behind it.
+  // Uploaded files live in the snapshot cache after this visit. A source left
+  // before its reads finish is `cancelled` – late results must not land on the new one.
   useEffect(() => {
-    loadWorkbook(XLSX_URL)
+    let fresh = false;
+    let cancelled = false;
+    const key = cacheKey(source);
+    const isFile = source.kind === "file";
+    if (isFile && uploaded.current?.source === source) {
+      applyModel(uploaded.current.model);
+      setDataInfo({ asOf: uploaded.current.asOf, cached: false, refreshing: false, error: null });
+      return;
+    }
+    setDataInfo((d) => ({ ...d, refreshing: !isFile, error: null }));
+
+    loadSnapshot(key).then((snap) => {
+      if (fresh || cancelled) return;
+      if (!snap) {
+        if (isFile) setDataInfo((d) => ({ ...d, error: { key: "data.fileGone" } })); // message of the UI dictionary
+        return;
+      }
+      applyModel(snap.model);
+      setDataInfo((d) => ({ ...d, asOf: snap.savedAt, cached: !isFile }));
+    });
+    const cancel = () => {
+      cancelled = true;
+    };
+    if (isFile) return cancel;
+
+    loadWorkbook(spreadsheetUrl(source.id))
       .then((wb) => {
-        /**
-         * Config sheet layout (row 1 is just explanatory text – skip it):
-         *  A | Portfolio name
-         *  B | Tag colour (hex)
-         *  C | Tag name
-         *  D | Portfolio colour (hex)
-         */
-        const cfg = XLSX.utils.sheet_to_json(wb.Sheets.Config, { header: 1, defval: "" });
-        const [, ...cfgRows] = cfg; // skip first row (metadata)
-
-        const portSet = new Set();
-        const tagSet = new Set();
-        const portColourMap = new Map();
-        const tagColourMap = new Map();
-
-        cfgRows.forEach((r) => {
-          const tagName = trim(r[0]); // col A
-          const tagColourHex = trim(r[1]);  // col B
-          const portfolioName = trim(r[2]);       // col C
-          const portfolioColourHex = trim(r[3]); // col D          // Skip empty rows
-          console.log(tagName, portfolioName, tagColourHex, portfolioColourHex);
-          if (portfolioName) {
-            const key = norm(portfolioName);
-            portSet.add(portfolioName);
-            if (portfolioColourHex) portColourMap.set(key, hex(portfolioColourHex));
-          }
-          if (tagName) {
-            const key = norm(tagName);
-            tagSet.add(tagName);
-            if (tagColourHex) tagColourMap.set(key, hex(tagColourHex));
-          }
-        });
-
-        setPortfolioOptions([...portSet].sort());
-        setTagOptions([...tagSet].sort());
-        setPortfolioColours(portColourMap);
-        setTagColours(tagColourMap);
-
-        // Parse data sheets (skip Introduction + Config)
-        const ignore = new Set(["Introduction", "Config"]);
-        const sheets = wb.SheetNames.filter((n) => !ignore.has(n));
-        const map = Object.fromEntries(sheets.map((name) => [name, sheetToRows(wb.Sheets[name])]));
-        setTabs(sheets);
-        setRowsByTab(map);
-        setLoading(false);
+        if (cancelled) return;
+        const model = parseWorkbook(wb);
+        fresh = true;
+        applyModel(model);
+        setDataInfo({ asOf: new Date().toISOString(), cached: false, refreshing: false, error: null });
+        saveSnapshot(model, key);
       })
       .catch((err) => {
+        if (cancelled) return;
         console.error(err);
-        alert("Failed to load – please check sharing permissions.");
+        setDataInfo((d) => ({ ...d, refreshing: false, error: err }));
       });
+    return cancel;
+  }, [applyModel, reloadKey, source]);
+
+  const changeSource = useCallback((src) => {
+    rememberSource(src);
+    setLoading(true);
+    setDataInfo({ asOf: null, cached: false, refreshing: false, error: null });
+    setSource(src);
+  }, []);
+
+  const handleUploadedFile = useCallback(
+    (m, name) => {
+      const src = { kind: "file", name };
+      uploaded.current = { source: src, model: m, asOf: new Date().toISOString() };
+      saveSnapshot(m, cacheKey(src)); // best effort – for the next visit
+      changeSource(src);
+    },
+    [changeSource]
+  );
+
+  // unknown / missing sheet names fall back to the first tab
+  const activeTab = tab === ALL_TAB || tabs.includes(tab) ? tab : tabs[0];
+  const isAll = activeTab === ALL_TAB;
+  // scorecards are kept for Config portfolios; unknown ones open the first
+  const activeCard = portfolioOptions.some((p) => norm(p) === norm(card)) ? norm(card) : norm(portfolioOptions[0] ?? "");
+
+  // "All" tab – every sheet merged, with the sheet name as Pillar column
+  const allRows = useMemo(
+    () => tabs.flatMap((tab) => rowsByTab[tab].map((r) => ({ Pillar: tab, ...r, id: `${tab}:${r.id}` }))),
+    [tabs, rowsByTab]
+  );
+  const rows = useMemo(() => (isAll ? allRows : rowsByTab[activeTab] ?? []), [isAll, allRows, rowsByTab, activeTab]);
+  const latestYear = useMemo(() => yearFields(rows).pop(), [rows]);
+  const allYears = useMemo(() => yearFields(allRows), [allRows]);
+  const statusYear = filterYear || latestYear; // column behind the status filter, legend & headers
+  const groupYear = isAll ? "" : latestYear; // pillars end in different years ➜ each row's own latest
+  const filterText = useMemo(() => describeFilters(filters, vocab, t, labels), [filters, vocab, t, labels]);
+  // the open tab (every pillar on "All") as slides, built while presenting
+  const slides = useMemo(
+    () => (presenting ? buildSlides({ tabs: isAll ? tabs : [activeTab], rowsByTab }, filters, { t }) : []),
+    [presenting, isAll, tabs, activeTab, rowsByTab, filters, t]
+  );
+  const statusOptions = useMemo(() => [...vocab.list.map((s) => s.key), ""], [vocab]);
+
+  // Deep links – keep tab, filters & search in the URL hash
+  const applyUrlState = useCallback((s) => {
+    setView(toView(s.view));
+    setCard(s.card);
+    setPresenting(Boolean(s.present));
+    setAdvance(toAdvance(s.advance));
+    setEmbedding(embedOptions(s));
+    setLang(toLang(s.lang));
+    setTab(s.tab);
+    setPortfolios(s.portfolios);
+    setNotPortfolios(s.notPortfolios);
+    setPortfolioMode(s.portfolioMode);
+    setTags(s.tags);
+    setNotTags(s.notTags);
+    setTagMode(s.tagMode);
+    setStatusFilter(s.statuses);
+    setFilterYear(s.year);
+    setChangedYears(s.changed);
+    setQuery(s.query);
+    setMeasureRef(s.measure);
+    setGrouping(toGrouping(s.group));
+    setSort(toSort(s.sort));
   }, []);
 
-  const rows = tabs.length ? rowsByTab[tabs[tabIdx]] : [];
+  const urlState = {
+    view: view === "tables" ? "" : view,
+    card: view === "scorecards" ? activeCard : "",
+    lang: lang === DEFAULT_LANG ? "" : lang,
+    tab: activeTab,
+    portfolios,
+    notPortfolios,
+    portfolioMode,
+    tags,
+    notTags,
+    tagMode,
+    statuses: statusFilter,
+    year: filterYear,
+    changed: changedYears,
+    query,
+    measure: measureRef,
+    group: grouping === "category" ? "" : grouping,
+    sort: sort === "relevance" ? "" : sort,
+    present: presenting ? "1" : "",
+    advance: presenting && advance ? String(advance) : "",
+    ...embedding,
+  };
+  useUrlSync(urlState, applyUrlState, !loading);
+
+  // Saved views – the URL state plus column visibility & collapsed groups
+  const changeViews = useCallback((next) => {
+    setViews(next);
+    storeViews(next);
+  }, []);
+  const saveView = (name) =>
+    changeViews([...views, makeView(name, { state: urlState, columns: layout.visibility, collapsed })]);
+  const applyView = (v) => {
+    // defaults for keys added since; a view does not switch the language or the embedding
+    applyUrlState({ ...parseHash(""), ...v.state, measure: "", lang: urlState.lang, ...embedding });
+    updateLayout(v.state.tab || activeTab, (l) => ({ ...l, visibility: v.columns ?? {} }));
+    setCollapsed(v.collapsed ?? []);
+  };
+
+  // Measure drawer – sheet names cannot contain ":", so split at the first one
+  const openMeasure = useMemo(() => {
+    const sep = measureRef.indexOf(":");
+    if (sep < 0) return null;
+    const pillar = measureRef.slice(0, sep);
+    const key = measureRef.slice(sep + 1);
+    const row = (rowsByTab[pillar] ?? []).find((r) => measureKey(r) === key);
+    return row ? { pillar, row } : null;
+  }, [measureRef, rowsByTab]);
 
   // ---------------------------------------------------------------
-  // 2.2 | Filtering (portfolio + tags chips)
+  // 2.2 | Filtering (portfolio + tags chips, fuzzy search)
   // ---------------------------------------------------------------
-  const filtered = useMemo(() => {
-    return rows.filter((r) => {
-    const rowPortfolios = String(r.Portfolio)      // ← singular
-        .split(",")
-        .map((p) => norm(p)); 
-    if (
-      portfolios.length &&                         // at least one chip picked
-      !portfolios.map(norm).some((p) => rowPortfolios.includes(p))
-    ) return false;
-      const rowTags = String(r.Tags)
-        .split(",")
-        .map((t) => trim(t.toLowerCase()));
-
-      if (tags.length && !tags.map((t) => t.toLowerCase()).some((t) => rowTags.includes(t))) return false;
-            
-      if (
-        query &&
-          !Object.values(r)                       
-            .some((v) =>
-              String(v).toLowerCase().includes(query.toLowerCase())
-            )
-        ) return false;
-      return true;
-    });
-  }, [rows, portfolios, tags, query]);
+  const { rows: filtered, highlights } = useMemo(
+    () => searchRows(rows, filters.query, (r) => rowMatches(r, filters)),
+    [rows, filters]
+  );
+  const toggleGroup = useCallback(
+    (key) => setCollapsed((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key])),
+    []
+  );
 
   // ---------------------------------------------------------------
   // 2.3 | Grouping – extract first two numeric levels
   // ---------------------------------------------------------------
-  const grouped = useMemo(() => {
-    return groupBy(filtered, (r) => {
-      const tryFields = [r.Category, r.Subcategory, r.Measures];
-      for (let fld of tryFields) {
-        if (!fld) continue;
-        const txt = trim(fld);
-        const m = txt.match(/^(\d+)\.(\d+)/); // capture 1st two numeric levels
-        if (m) return `${m[1]}.${m[2]}`;      }
-      return "—"; // bucket for rows with no numeric prefix
-    });
-  }, [filtered]);
+  const grouped = useMemo(
+    () =>
+      groupRows(sortRows(filtered, sort, groupYear, vocab), grouping, {
+        pillar: activeTab,
+        tabs,
+        latestYear: groupYear,
+        vocab,
+        t,
+        labels,
+      }),
+    [filtered, sort, groupYear, grouping, activeTab, tabs, vocab, t, labels]
+  );
 
   // ---------------------------------------------------------------
-  // 2.4 | Dynamic row height for wrapped text (Measures)
+  // 2.4 | Column layout of the tab (see ./columnLayout)
   // ---------------------------------------------------------------
-  const getRowHeight = useCallback((params) => {
-    const txt = String(params.model.Measures ?? "");
-    const charsPerLine = 45;
-    const lines = Math.ceil(txt.length / charsPerLine);
-    const base = 32; // baseline height
-    const lineHeight = 20;
-    return base + lines * lineHeight;
-  }, []);
+  const layout = layouts[activeTab] ?? EMPTY_LAYOUT;
+  const updateLayout = useCallback(
+    (key, fn) => setLayouts((prev) => ({ ...prev, [key]: fn(prev[key] ?? EMPTY_LAYOUT) })),
+    []
+  );
+  useEffect(() => storeLayouts(layouts), [layouts]);
+  const fields = useMemo(() => displayFields(rows), [rows]);
+  // `column` links (embeds) fix the visible columns, otherwise the tab's layout does
+  const visibility = useMemo(
+    () =>
+      embedding.columns.length
+        ? Object.fromEntries(fields.map((f) => [f, embedding.columns.some((c) => norm(c) === norm(f))]))
+        : layout.visibility,
+    [embedding.columns, fields, layout.visibility]
+  );
 
   // ---------------------------------------------------------------
   // 2.5 | DataGrid column definitions
   // ---------------------------------------------------------------
-  const STATUS_BG = {
-  'not started':'#e6e6e6',
-  started:'#ffd360',
-  maintained:'#bfe1f6',
-  delayed:'#ff9689',
-  'on track':'#d4edbc',
-  'nearly completed':'#98d55e',
-
-  abandoned:'#3d3d3d',
-  completed:'#11734b',
-
-};
-
   const columns = useMemo(() => {
-    if (!rows.length) return [];
-
-    return Object.keys(rows[0])
-      .filter((f) => !["id", "Category", "Materials"].includes(f) && !/Update/i.test(f))
+    return orderFields(fields, layout)
       .map((field) => {
         const col = {
           field,
-          headerName: field,
+          headerName: t.field(field),
           minWidth: 140,
           flex: 1,
         };
 
-        // Portfolio ➜ coloured chip
-        if (field === 'Portfolio') {
-            col.renderCell = (params) => {
-              const ports = String(params.value)
-                .split(',')
-                .map((p) => norm(p))
-                .filter(Boolean);
-
-              return (
-                <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
-                  {ports.map((p) => (
-                    <Chip
-                      key={p}
-                      label={title(p)}
-                      clickable
-                      onClick={() => togglePortfolio(p)}
-                      size="small"
-                      sx={{
-                        bgcolor: portfolioColours.get(p) || FALLBACK_BG,
-                        color: '#000',
-                      }}
-                    />
-                  ))}
-                </Box>
-              );
-            };
-            col.minWidth = 260;
-          }
-
-        // Tags ➜ coloured chips list
-        if (field === "Tags") {
-          col.renderCell = (params) => {
-          const tagsArr = String(params.value)
-            .split(",")
-            .map((t) => norm(t))
-            .filter(Boolean);
-            return (
-              <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5 }}>
-                {tagsArr.map((t, i) => (
-                <Chip 
-                key={t} 
-                label={title(t)} 
-                size="small"
-                clickable
-                onClick={() => toggleTag(t)}
-                sx={{ bgcolor: tagColours.get(t) || FALLBACK_BG, color: "#000" }} 
-                />                
-      ))}
-              </Box>
-            );
-          };
+        // Portfolio / Tags ➜ coloured chips, click to filter
+        if (field === "Portfolio" || field === "Tags") {
+          const [colours, onToggle, labelKey] =
+            field === "Portfolio"
+              ? [portfolioColours, togglePortfolio, "chip.filterPortfolio"]
+              : [tagColours, toggleTag, "chip.filterTag"];
+          col.renderCell = (params) => (
+            <CellChips
+              values={splitList(params.value)}
+              colours={colours}
+              label={labels.label}
+              hasFocus={params.hasFocus}
+              onToggle={onToggle}
+              ariaLabel={(name) => t(labelKey, { name })}
+            />
+          );
           col.minWidth = 260;
         }
 
         // Measures ➜ wrap & limit width
         if (field === "Measures") {
-          col.headerName = "Measures";
           col.renderCell = (params) => (
-            <Box sx={{ whiteSpace: "pre-line", lineHeight: 1.4, maxWidth: 420 }}>{String(params.value || "")}</Box>
+            <Box sx={{ whiteSpace: "pre-line", lineHeight: 1.4 }}>
+              <Highlighted text={String(params.value || "")} ranges={highlights.get(params.row.rowId)} />
+            </Box>
           );
           col.flex = 2;
           col.minWidth = 300;
         }
 
         // Yearly status colouring
-         if (/^\d{2}\/\d{2}$/.test(field)) {
+         if (isYearField(field)) {
             col.width = 120;
             col.align = 'center';
             col.headerAlign = 'center';
 
-            // ❶ add a class based on the cell value
-            col.cellClassName = (params) => {
-              const key = String(params.value || '').toLowerCase();
-              // replace spaces so we end up with:  status-on-track / status-delayed …
-              return `status-${key.replace(/\s+/g, '-')}`;
-            };
+            // ❶ add a class based on the cell value:  status-on-track / status-delayed …
+            col.cellClassName = (params) => statusClass(norm(String(params.value || '')));
+            // ❷ icon + name, so the status does not rely on the fill colour alone
+            col.renderCell = (params) =>
+              params.value ? (
+                <Box component="span" sx={{ display: "inline-flex", alignItems: "center", gap: 0.5 }}>
+                  <StatusIcon status={norm(String(params.value))} vocab={vocab} />
+                  {params.value}
+                </Box>
+              ) : null;
           }
 
+        // Saved width (dragged header) replaces the flexible one
+        if (layout.widths[field]) {
+          col.width = layout.widths[field];
+          col.minWidth = Math.min(col.minWidth, col.width);
+          delete col.flex;
+        }
+
+        // Pinned ➜ fixed width, stuck to the left edge (see pinnedSx)
+        const pin = layout.pinned.indexOf(field);
+        if (pin >= 0) {
+          col.width = col.width ?? col.minWidth;
+          delete col.flex;
+          const cellClass = col.cellClassName;
+          col.cellClassName = (params) => [`pinned-${pin}`, cellClass?.(params)].filter(Boolean).join(" ");
+          col.headerClassName = `pinned-${pin}`;
+        }
+
         return col;
       });
-  }, [rows, portfolioColours, tagColours]);
+  }, [fields, layout, portfolioColours, tagColours, togglePortfolio, toggleTag, highlights, vocab, t, labels]);
+
+  // Sticky offsets of the pinned columns – the community grid cannot pin
+  const pinnedSx = useMemo(() => pinnedColumnSx(columns, layout.pinned, visibility), [columns, layout.pinned, visibility]);
 
   /**
    * ------------------------------------------------------------------
@@ -399,80 +642,209 @@ function handleExport(applyFilters) {
    * ------------------------------------------------------------------
    */
 
-  const hasBlueTag = (row) =>
-    String(row.Tags)
-      .split(",")
-      .map((t) => trim(t.toLowerCase()))
-      .includes("blue");
+  const hasBlueTag = (row) => splitList(row.Tags).includes("blue");
 
   return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
       <Container
         maxWidth={false}   
         sx={{
           mx: '0%',
-          pt: 4,            
+          pt: embedded ? 2 : 4,
         }}
       >      
-      <Typography variant="h4" gutterBottom>
-        National Strategy Dashboard
-      </Typography>
-       {/* <Button
+      {chrome && (
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: embedded ? 1 : 2 }}>
+          {branding.logo && <Box component="img" src={branding.logo} alt="" sx={{ height: embedded ? 32 : 48 }} />}
+          <Typography variant={embedded ? "h5" : "h4"}>{title}</Typography>
+        </Box>
+      )}
+      {!embedded && (
+      <Box className="no-print" sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2 }}>
+        <Button
           variant="outlined"
           size="small"
-          startIcon={<PictureAsPdfIcon />}
+          startIcon={<FileDownloadIcon />}
           onClick={() => setOpenExport(true)}
-          sx={{ml: 'auto'}}
+          disabled={loading}
+        >
+          {t("export.button")}
+        </Button>
+        <Button
+          variant="outlined"
+          size="small"
+          startIcon={<SlideshowIcon />}
+          onClick={() => setPresenting(true)}
+          disabled={loading}
+        >
+          {t("present.button")}
+        </Button>
+        <SavedViewsMenu
+          views={views}
+          onApply={applyView}
+          onSave={saveView}
+          onChange={changeViews}
+          disabled={loading}
+          t={t}
+        />
+        <DataIssuesPanel issues={issues} t={t} />
+        <Button
+          size="small"
+          startIcon={<StorageIcon />}
+          onClick={() => setOpenSource(true)}
+          sx={{ ml: "auto" }}
         >
-          Export PDF
-        </Button> */}
+          {t("source.button")}
+        </Button>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={lang}
+          onChange={(_, v) => v && setLang(v)}
+          aria-label={t("language")}
+        >
+          {Object.entries(LANGUAGES).map(([code, name]) => (
+            <ToggleButton key={code} value={code} lang={code} title={name} sx={{ py: 0.25 }}>
+              {code.toUpperCase()}
+            </ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+      </Box>
+      )}
+      <DataSourceDialog
+        key={openSource /* fresh form each time it opens */}
+        open={openSource}
+        onClose={() => setOpenSource(false)}
+        source={source}
+        onSheet={changeSource}
+        onFile={handleUploadedFile}
+        t={t}
+      />
         <Dialog open={openExport} onClose={() => setOpenExport(false)} maxWidth="xs" fullWidth>
-          <DialogTitle>Export options</DialogTitle>
+          <DialogTitle>{t("export.title")}</DialogTitle>
           <DialogContent>
+            <FormLabel sx={{ fontSize: 13 }}>{t("export.format")}</FormLabel>
+            <RadioGroup value={exportFormat} onChange={(e) => setExportFormat(e.target.value)}>
+              <FormControlLabel value="pdf" control={<Radio size="small" />} label={t("export.pdf")} />
+              <FormControlLabel value="xlsx" control={<Radio size="small" />} label={t("export.xlsx")} />
+              <FormControlLabel value="csv" control={<Radio size="small" />} label={t("export.csv")} />
+            </RadioGroup>
+            <FormLabel sx={{ fontSize: 13, display: "block", mt: 2 }}>{t("export.pillars")}</FormLabel>
+            <RadioGroup value={isAll ? "all" : exportScope} onChange={(e) => setExportScope(e.target.value)}>
+              <FormControlLabel value="all" control={<Radio size="small" />} label={t("export.allPillars")} />
+              <FormControlLabel
+                value="tab"
+                disabled={isAll}
+                control={<Radio size="small" />}
+                label={isAll ? t("export.currentTab") : t("export.currentTabNamed", { tab: activeTab })}
+              />
+            </RadioGroup>
             <FormControlLabel
+              sx={{ mt: 1 }}
               control={
                 <Checkbox
                   checked={inclFilters}
                   onChange={(e) => setInclFilters(e.target.checked)}
                 />
               }
-              label="Apply current filters (Portfolios, Tags, Search)"
+              label={t("export.applyFilters")}
             />
+            {exportFormat !== "pdf" && (
+              <FormControlLabel
+                control={<Checkbox checked={inclHidden} onChange={(e) => setInclHidden(e.target.checked)} />}
+                label={t("export.includeHidden")}
+              />
+            )}
           </DialogContent>
           <DialogActions>
-            <Button onClick={() => setOpenExport(false)}>Cancel</Button>
+            <Button onClick={() => setOpenExport(false)}>{t("common.cancel")}</Button>
             <Button variant="contained" onClick={() => { handleExport(inclFilters); setOpenExport(false); }}>
-              Generate PDF
+              {t(exportFormat === "pdf" ? "export.generatePdf" : "export.download")}
             </Button>
           </DialogActions>
         </Dialog>
-      {/* Sheet Tabs */}
-      {!loading && (
-        <Tabs
-          value={tabIdx}
-          onChange={(_, v) => setTabIdx(v)}
-          sx={{ mb: 3 }}
-          variant="scrollable"
-          allowScrollButtonsMobile
+      {/* Sheet Tabs + view switch */}
+      {!loading && chrome && (
+        <Box className="no-print" sx={{ display: "flex", alignItems: "center", gap: 2, mb: 3 }}>
+          <Tabs
+            value={view === "tables" ? activeTab ?? false : false}
+            onChange={(_, v) => {
+              setTab(v);
+              setView("tables");
+            }}
+            sx={{ flex: 1, minWidth: 0 }}
+            variant="scrollable"
+            allowScrollButtonsMobile
+          >
+            {tabs.map((n) => (
+              <Tab key={n} label={n} value={n} />
+            ))}
+            <Tab label={t("tabs.all")} value={ALL_TAB} />
+          </Tabs>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={view}
+            onChange={(_, v) => v && setView(v)}
+          >
+            {VIEWS.map((v) => (
+              <ToggleButton key={v} value={v}>
+                {t(`view.${v}`)}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+        </Box>
+      )}
+
+      {/* Data freshness */}
+      {dataInfo.asOf && !embedded && (
+        <Alert
+          className="no-print"
+          severity={dataInfo.error ? "warning" : dataInfo.cached ? "info" : "success"}
+          variant="outlined"
+          sx={{ mb: 2, py: 0 }}
+          action={
+            dataInfo.error && (
+              <Button color="inherit" size="small" onClick={() => setReloadKey((k) => k + 1)}>
+                {t("common.retry")}
+              </Button>
+            )
+          }
         >
-          {tabs.map((n) => (
-            <Tab key={n} label={n} />
-          ))}
-        </Tabs>
+          {t("data.asOf", { date: new Date(dataInfo.asOf).toLocaleString(lang) })}
+          {sourceLabel(source, t) && t("data.from", { source: sourceLabel(source, t) })}
+          {dataInfo.cached && dataInfo.refreshing && t("data.checking")}
+          {dataInfo.error && t("data.offline")}
+        </Alert>
       )}
 
-      {loading ? (
+      {loading && dataInfo.error ? (
+        <Alert
+          severity="error"
+          sx={{ mt: 4 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => setReloadKey((k) => k + 1)}>
+              {t("common.retry")}
+            </Button>
+          }
+        >
+          {t(dataInfo.error.key ?? "data.failed")}
+        </Alert>
+      ) : loading ? (
         <Box sx={{ textAlign: "center", mt: 4 }}>
           <CircularProgress />
         </Box>
       ) : (
         <>
-          {/* Filters */}
+          {/* Filters – scorecards show a portfolio whole, so they go; so does a bare embed */}
           <Paper
             elevation={0}
+            className="no-print"
             sx={{
               p: 2,
               mb: 3,
-              display: "flex",
+              display: view === "scorecards" || !chrome ? "none" : "flex",
               gap: 2,
               flexWrap: "wrap",
               alignItems: "center",
@@ -487,20 +859,22 @@ function handleExport(applyFilters) {
               size="small"
               options={portfolioOptions}
               value={portfolios}
-              onChange={(_, v) =>
+              onChange={(_, v) => {
                 setPortfolios(
                   v.filter(
                     (val, i, arr) =>
                       arr.findIndex((x) => norm(x) === norm(val)) === i  // keep first hit
                   )
-                )
-              }              
+                );
+                setNotPortfolios((prev) => prev.filter((x) => !v.some((val) => norm(val) === norm(x))));
+              }}
               sx={{ minWidth: 240 }}
               renderTags={() => null}
               renderInput={(params) => (
-                <TextField {...params} label="Portfolios" placeholder="Select…" />
+                <TextField {...params} label={t("filter.portfolios")} placeholder={t("filter.select")} />
               )}
             />
+            <MatchMode label={t("filter.portfolios")} value={portfolioMode} onChange={setPortfolioMode} t={t} />
             
 
 
@@ -510,20 +884,87 @@ function handleExport(applyFilters) {
               size="small"
               options={tagOptions}
               value={tags}
-              onChange={(_, v) =>
+              onChange={(_, v) => {
                   setTags(
                     v.filter(
                       (val, i, arr) =>
                         arr.findIndex((x) => norm(x) === norm(val)) === i  // keep first hit
                     )
-                  )
-                }              
+                  );
+                  setNotTags((prev) => prev.filter((x) => !v.some((val) => norm(val) === norm(x))));
+                }}
                 sx={{ minWidth: 240 }}
                 renderTags={() => null}                
                 renderInput={(params) => (
-              <TextField {...params} label="Tags" placeholder="Select…" />
+              <TextField {...params} label={t("filter.tags")} placeholder={t("filter.select")} />
   )}
             />
+            <MatchMode label={t("filter.tags")} value={tagMode} onChange={setTagMode} t={t} />
+
+            {/* Status filter – for the chosen year, latest by default */}
+            <Autocomplete
+              multiple
+              size="small"
+              options={statusOptions}
+              value={statusFilter}
+              getOptionLabel={(s) => vocab.label(s)}
+              onChange={(_, v) => setStatusFilter(v)}
+              sx={{ minWidth: 200 }}
+              renderTags={() => null}
+              renderInput={(params) => (
+                <TextField {...params} label={t("filter.status")} placeholder={t("filter.select")} />
+              )}
+            />
+            <TextField
+              select
+              size="small"
+              label={t("filter.year")}
+              value={filterYear}
+              onChange={(e) => setFilterYear(e.target.value)}
+              sx={{ minWidth: 110 }}
+            >
+              <MenuItem value="">{t("filter.latest")}</MenuItem>
+              {allYears.map((y) => (
+                <MenuItem key={y} value={y}>
+                  {y}
+                </MenuItem>
+              ))}
+            </TextField>
+
+            {/* Status changed between two years */}
+            <FormControlLabel
+              sx={{ mr: 0 }}
+              control={
+                <Switch
+                  size="small"
+                  checked={changedYears.length === 2}
+                  disabled={allYears.length < 2}
+                  onChange={(e) => setChangedYears(e.target.checked ? allYears.slice(-2) : [])}
+                />
+              }
+              label={t("filter.statusChanged")}
+            />
+            {changedYears.length === 2 &&
+              [0, 1].map((i) => (
+                <TextField
+                  key={i}
+                  select
+                  size="small"
+                  label={t(i ? "filter.to" : "filter.from")}
+                  value={changedYears[i]}
+                  onChange={(e) =>
+                    setChangedYears((prev) => prev.map((y, j) => (j === i ? e.target.value : y)))
+                  }
+                  sx={{ minWidth: 100 }}
+                >
+                  {allYears.map((y) => (
+                    <MenuItem key={y} value={y}>
+                      {y}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              ))}
+
             <Box
               sx={{
                 mt: 1.5,
@@ -532,42 +973,62 @@ function handleExport(applyFilters) {
                 gap: 0.5,
               }}
             >
-              {/* Portfolios first (greenish?) */}
-              {portfolios.map((p) => (
-                <Chip
+              {/* Portfolios first, exclusions after the included ones */}
+              {[...portfolios.map((p) => [p, false]), ...notPortfolios.map((p) => [p, true])].map(([p, excluded]) => (
+                <FilterChip
                   key={`port-${p}`}
-                  label={title(p)}
-                  onDelete={() =>
-                    setPortfolios((prev) => prev.filter((name) => name !== p))
-                  }
-                  sx={{
-                    bgcolor: portfolioColours.get(norm(p)) || FALLBACK_BG,
-                    color: '#000',
-                  }}
+                  label={labels.label(p)}
+                  colour={portfolioColours.get(norm(p)) || FALLBACK_BG}
+                  excluded={excluded}
+                  onFlip={() => togglePortfolio(p, !excluded)}
+                  onDelete={() => togglePortfolio(p, excluded)}
+                  t={t}
+                />
+              ))}
+
+              {/* Tags next */}
+              {[...tags.map((tag) => [tag, false]), ...notTags.map((tag) => [tag, true])].map(([tag, excluded]) => (
+                <FilterChip
+                  key={`tag-${tag}`}
+                  label={labels.label(tag)}
+                  colour={tagColours.get(norm(tag)) || FALLBACK_BG}
+                  excluded={excluded}
+                  onFlip={() => toggleTag(tag, !excluded)}
+                  onDelete={() => toggleTag(tag, excluded)}
+                  t={t}
                 />
               ))}
 
-              {/* Tags next (blue-ish?) */}
-              {tags.map((t) => (
+              {/* Statuses last, in their status colour */}
+              {statusFilter.map((s) => (
                 <Chip
-                  key={`tag-${t}`}
-                  label={title(t)}
-                  onDelete={() =>
-                    setTags((prev) => prev.filter((name) => name !== t))
-                  }
-                  sx={{
-                    bgcolor: tagColours.get(norm(t)) || FALLBACK_BG,
-                    color: '#000',
-                  }}
+                  key={`status-${s}`}
+                  label={filterYear ? t("filter.statusIn", { status: vocab.label(s), year: filterYear }) : vocab.label(s)}
+                  variant={s ? "filled" : "outlined"}
+                  onDelete={() => toggleStatus(s)}
+                  sx={{ bgcolor: s ? vocab.colour(s) || FALLBACK_BG : "transparent", color: vocab.textColour(s) }}
                 />
               ))}
+              {changedYears.length === 2 && (
+                <Chip
+                  label={t("filter.changedChip", { from: changedYears[0], to: changedYears[1] })}
+                  variant="outlined"
+                  onDelete={() => setChangedYears([])}
+                />
+              )}
             </Box>
             <TextField
               size="small"
               value={query}
               onChange={(e) => setQuery(e.target.value)}
-              placeholder="Search…"
-              sx={{ ml: 'auto', width: 260 }}
+              placeholder={t("search.placeholder")}
+              inputProps={{ "aria-label": t("search.label") }}
+              sx={{ ml: 'auto', width: 360 }}
+              helperText={
+                filterText
+                  ? t("search.count", { n: filtered.length, total: rows.length })
+                  : " "
+              }
               InputProps={{
                 startAdornment: (
                   <SearchIcon sx={{ mr: 1, color: 'text.secondary' }} />
@@ -576,46 +1037,159 @@ function handleExport(applyFilters) {
             />
           </Paper>
 
-          {/* Tables by Category */}
-          {Object.entries(grouped).map(([cat, items]) => {
-            const fullCategory = items[0].Category || `Category ${cat}`;
-            return (
-              <Accordion key={cat} defaultExpanded sx={{ mb: 3 }}>
-                <AccordionSummary expandIcon={<ExpandMoreIcon />}>
-                  <Typography variant="h6">{fullCategory}</Typography>
-                </AccordionSummary>
-                <AccordionDetails>
-                  <Box sx={{ width: "100%" }}>
-                    <DataGrid
-                      getRowHeight={getRowHeight}
-                      rows={items}
-                      columns={columns}
-                      disableRowSelectionOnClick
-                      components={{ Toolbar: GridToolbar }}
-                      density="compact"
-                      getRowClassName={(params) => (hasBlueTag(params.row) ? "row-blue" : "")}
-                      sx={{
-                        "& .row-blue": { bgcolor: LIGHT_BLUE },
-                        "& .MuiDataGrid-cell": { lineHeight: 1.4, whiteSpace: "normal", py: 1 },
-                        '& .status-not-started'  : { bgcolor: STATUS_BG['not started'] },
-                        '& .status-started'      : { bgcolor: STATUS_BG.started },
-                        '& .status-maintained'   : { bgcolor: STATUS_BG.maintained },
-                        '& .status-delayed'      : { bgcolor: STATUS_BG.delayed },
-                        '& .status-nearly-completed'     : { bgcolor: STATUS_BG['nearly completed'] },
-                        '& .status-abandoned'    : { bgcolor: STATUS_BG.abandoned},
-                        '& .status-completed'      : { bgcolor: STATUS_BG.completed },
-                        '& .status-on-track'      : { bgcolor: STATUS_BG['on track'] },
-                      }}
-                    />
-                  </Box>
-                </AccordionDetails>
-              </Accordion>
-            );
-          })}
+          {/* the active filters in words */}
+          {filterText && view !== "scorecards" && chrome && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: -1.5, mb: 2 }}>
+              {filterText}
+            </Typography>
+          )}
+
+          {view === "progress" && (
+            <ProgressView
+              tabs={tabs}
+              rowsByTab={rowsByTab}
+              filters={filters}
+              portfolioOptions={portfolioOptions}
+              vocab={vocab}
+              labels={labels}
+              t={t}
+            />
+          )}
+
+          {view === "changes" && <ChangesView model={model} filters={filters} vocab={vocab} t={t} />}
+
+          {view === "scorecards" && (
+            <ScorecardView
+              tabs={tabs}
+              rowsByTab={rowsByTab}
+              portfolio={activeCard}
+              portfolioOptions={portfolioOptions}
+              portfolioColours={portfolioColours}
+              vocab={vocab}
+              labels={labels}
+              onSelect={setCard}
+              onOpenMeasure={setMeasureRef}
+              t={t}
+            />
+          )}
+
+          {/* Tables by group (category by default) */}
+          {view === "tables" && chrome && (
+            <Box sx={{ display: "flex", gap: 2, mb: 2, alignItems: "center" }}>
+              <TextField
+                select
+                size="small"
+                label={t("table.groupBy")}
+                value={grouping}
+                onChange={(e) => setGrouping(e.target.value)}
+                sx={{ minWidth: 180 }}
+              >
+                {Object.entries(GROUPINGS).map(([k, label]) => (
+                  <MenuItem key={k} value={k}>
+                    {t(label)}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                select
+                size="small"
+                label={t("table.sortBy")}
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                sx={{ minWidth: 200 }}
+              >
+                {Object.entries(SORTS).map(([k, label]) => (
+                  <MenuItem key={k} value={k}>
+                    {t(label)}
+                  </MenuItem>
+                ))}
+              </TextField>
+              <ColumnLayoutMenu
+                fields={fields}
+                layout={layout}
+                onChange={(next) => updateLayout(activeTab, () => next)}
+                t={t}
+              />
+            </Box>
+          )}
+          {/* the selection also narrows charts and changes, so keep it visible there */}
+          {chrome && (view === "tables" || (view !== "scorecards" && statusFilter.length > 0)) && (
+            <StatusLegend
+              heading={filterYear ? t("legend.statusIn", { year: filterYear }) : t("legend.latest")}
+              vocab={vocab}
+              selected={statusFilter}
+              onToggle={toggleStatus}
+              onClear={() => setStatusFilter([])}
+              t={t}
+            />
+          )}
+          {view === "tables" && (
+            <GroupedGrid
+              groups={grouped}
+              collapsed={collapsed}
+              onToggle={toggleGroup}
+              onOpen={(row) => setMeasureRef(`${row.Pillar ?? activeTab}:${measureKey(row)}`)}
+              columns={columns}
+              year={statusYear}
+              vocab={vocab}
+              t={t}
+              maxHeight={embedded ? "none" : undefined} // the host page scrolls an embed
+              columnVisibilityModel={visibility}
+              onColumnVisibilityModelChange={(visibility) =>
+                updateLayout(activeTab, (l) => ({ ...l, visibility }))
+              }
+              onColumnWidthChange={({ colDef, width }) =>
+                updateLayout(activeTab, (l) => ({ ...l, widths: { ...l.widths, [colDef.field]: width } }))
+              }
+              aria-label={t("table.gridLabel", { group: isAll ? t("tabs.all") : activeTab })}
+              getRowClassName={(params) => (hasBlueTag(params.row) ? "row-blue" : "")}
+              sx={{
+                ...pinnedSx,
+                "& .row-blue": { bgcolor: LIGHT_BLUE },
+                "& .row-blue [class*='pinned-']": { bgcolor: LIGHT_BLUE },
+                "& .MuiDataGrid-row": { cursor: "pointer" },
+                "& .MuiDataGrid-cell": { lineHeight: 1.4, whiteSpace: "normal", py: 1 },
+                ...statusSx(vocab), // one class per Config status
+              }}
+            />
+          )}
 
         </>
       )}
-    </Container>
+
+      <PresentationView
+        open={presenting && !loading}
+        onClose={() => setPresenting(false)}
+        slides={slides}
+        year={filterYear || allYears[allYears.length - 1]}
+        vocab={vocab}
+        filterText={filterText}
+        advance={advance}
+        onAdvanceChange={setAdvance}
+        title={title}
+        t={t}
+      />
+
+      <MeasureDrawer
+        pillar={openMeasure?.pillar}
+        row={openMeasure?.row}
+        onClose={() => setMeasureRef("")}
+        portfolioColours={portfolioColours}
+        tagColours={tagColours}
+        vocab={vocab}
+        labels={labels}
+        t={t}
+        onPortfolioClick={(p, exclude) => {
+          togglePortfolio(p, exclude);
+          setMeasureRef("");
+        }}
+        onTagClick={(tag, exclude) => {
+          toggleTag(tag, exclude);
+          setMeasureRef("");
+        }}
+      />
+      </Container>
+    </ThemeProvider>
   );
 }
 
@@ -1,8 +1,90 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { act, fireEvent, render, screen, within } from "@testing-library/react";
+import * as XLSX from "xlsx";
+import App from "./App";
+import { mockResizeObserver, mockWorkbookFetch } from "./fixtures/browserMocks";
+import { strategyWorkbookBytes } from "./fixtures/strategyWorkbook";
+
+beforeEach(() => {
+  mockWorkbookFetch();
+  mockResizeObserver();
+  window.location.hash = "";
+  localStorage.clear(); // the chosen source is remembered
+});
+
+test("loads the workbook into one tab per pillar", async () => {
+  render(<App />);
+  expect(screen.getByRole("heading", { name: "National Strategy Dashboard" })).toBeInTheDocument();
+  expect(await screen.findByRole("heading", { name: "Learning & Care Strategy" }, { timeout: 5000 })).toBeInTheDocument(); // Config title
+  expect(await screen.findByRole("tab", { name: "Learning" }, { timeout: 5000 })).toHaveAttribute("aria-selected", "true");
+  expect(screen.getByRole("tab", { name: "Care" })).toBeInTheDocument();
+  expect(screen.queryByRole("tab", { name: "Config" })).not.toBeInTheDocument();
+  expect((await screen.findAllByText("1.1.1 Build schools")).length).toBeGreaterThan(0);
+});
+
+test("an embed link picks tab, columns and title and drops the chrome", async () => {
+  window.location.hash = "#tab=Care&embed=1&column=Measures&title=Partner%20view&primary=0b6e4f";
+  render(<App />);
+  expect(await screen.findByRole("heading", { name: "Partner view" }, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.getByRole("tab", { name: "Care" })).toHaveAttribute("aria-selected", "true");
+  expect(screen.queryByRole("button", { name: "Export" })).not.toBeInTheDocument();
+  const grid = await screen.findByRole("grid", { name: "Care measures" });
+  expect(within(grid).getAllByRole("columnheader").map((h) => h.textContent)).toEqual(["Measures"]);
+  expect(window.location.hash).toContain("column=Measures");
+});
+
+test("the presentation carries the branded title", async () => {
+  window.location.hash = "#present=1&title=Partner%20view";
+  render(<App />);
+  const deck = await screen.findByRole("dialog", { name: "Presentation" }, { timeout: 5000 });
+  expect(within(deck).getByText("Partner view")).toBeInTheDocument();
+  expect(within(deck).queryByText("National Strategy Dashboard")).not.toBeInTheDocument();
+});
+
+test("chrome=0 leaves the view alone", async () => {
+  window.location.hash = "#embed=1&chrome=0";
+  render(<App />);
+  expect((await screen.findAllByText("1.1.1 Build schools", {}, { timeout: 5000 })).length).toBeGreaterThan(0);
+  expect(screen.queryByRole("heading", { level: 4 })).not.toBeInTheDocument();
+  expect(screen.queryByRole("tab")).not.toBeInTheDocument();
+  expect(screen.queryByRole("textbox", { name: "Search measures" })).not.toBeInTheDocument(); // hidden with the filters
+});
+
+test("a source left while its workbook loads does not replace the new one", async () => {
+  const other = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(other, XLSX.utils.aoa_to_sheet([["Measures", "24/25"], ["3.1.1 Balance the budget", "started"]]), "Finance");
+  const otherBytes = XLSX.write(other, { type: "array", bookType: "xlsx" });
+  let finishFirst;
+  const first = new Promise((resolve) => (finishFirst = resolve));
+  global.fetch = jest.fn((url) =>
+    url.includes("other-sheet")
+      ? Promise.resolve({ ok: true, arrayBuffer: () => Promise.resolve(otherBytes) })
+      : first
+  );
 
-test('renders learn react link', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Data source" }));
+  fireEvent.change(screen.getByRole("textbox", { name: "Spreadsheet ID or link" }), { target: { value: "other-sheet" } });
+  fireEvent.click(screen.getByRole("button", { name: "Load" }));
+  expect(await screen.findByRole("tab", { name: "Finance" }, { timeout: 5000 })).toBeInTheDocument();
+
+  const bytes = strategyWorkbookBytes();
+  await act(async () => finishFirst({ ok: true, arrayBuffer: () => Promise.resolve(bytes) }));
+  expect(screen.getByRole("tab", { name: "Finance" })).toBeInTheDocument();
+  expect(screen.queryByRole("tab", { name: "Learning" })).not.toBeInTheDocument();
+});
+
+test("an uploaded workbook shows even when the snapshot cache is unavailable", async () => {
+  const upload = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(upload, XLSX.utils.aoa_to_sheet([["Measures", "24/25"], ["4.1.1 Plant trees", "started"]]), "Forests");
+  const bytes = XLSX.write(upload, { type: "array", bookType: "xlsx" });
+
+  render(<App />); // jsdom has no IndexedDB – nothing is cached
+  expect(await screen.findByRole("tab", { name: "Learning" }, { timeout: 5000 })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole("button", { name: "Data source" }));
+  fireEvent.drop(screen.getByText(/^Drop an \.xlsx workbook/), {
+    dataTransfer: { files: [{ name: "forests.xlsx", arrayBuffer: () => Promise.resolve(bytes) }] },
+  });
+
+  expect(await screen.findByRole("tab", { name: "Forests" }, { timeout: 5000 })).toBeInTheDocument();
+  expect(screen.queryByText(/no longer stored/)).not.toBeInTheDocument();
 });
@@ -0,0 +1,272 @@
+import { useEffect, useMemo, useState } from "react";
+import Papa from "papaparse";
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  Button,
+  TextField,
+  MenuItem,
+  ToggleButtonGroup,
+  ToggleButton,
+  IconButton,
+  Tooltip,
+} from "@mui/material";
+import ArrowRightAltIcon from "@mui/icons-material/ArrowRightAlt";
+import DeleteIcon from "@mui/icons-material/Delete";
+import FileDownloadIcon from "@mui/icons-material/FileDownload";
+import { groupBy } from "lodash";
+import { yearFields, downloadFile } from "./helpers";
+import { filterRows } from "./search";
+import { diffYears, diffSnapshots } from "./changes";
+import { loadSnapshot, listSnapshots, keepSnapshot, deleteSnapshot } from "./snapshotCache";
+import StatusChip from "./StatusChip";
+import { DEFAULT_T, localizeSheets } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Changes – what moved between two years or since a saved snapshot
+ * ------------------------------------------------------------------
+ */
+const TYPES = ["changed", "added", "removed"];
+
+// `model` and snapshots hold the sheet rows as read – both sides are
+// compared in the UI language
+const localModel = (m, lang) => ({ tabs: m.tabs, rowsByTab: localizeSheets(m.rowsByTab, lang) });
+
+const filterModel = (m, filters) => ({
+  tabs: m.tabs,
+  rowsByTab: Object.fromEntries(m.tabs.map((tab) => [tab, filterRows(m.rowsByTab[tab] ?? [], filters)])),
+});
+
+// rows of either model that pass the dashboard filters
+const filteredRows = (models, filters) =>
+  new Set(models.flatMap((m) => Object.values(filterModel(m, filters).rowsByTab).flat()));
+
+export default function ChangesView({ model, filters, vocab, t = DEFAULT_T }) {
+  const years = useMemo(() => yearFields(Object.values(model.rowsByTab).flat()), [model]);
+  const [mode, setMode] = useState("years"); // years | snapshot
+  const [fromYear, setFromYear] = useState(years[years.length - 2] ?? "");
+  const [toYear, setToYear] = useState(years[years.length - 1] ?? "");
+  const [snapshots, setSnapshots] = useState([]);
+  const [snapKey, setSnapKey] = useState("");
+  const [snapModel, setSnapModel] = useState(null);
+  const [types, setTypes] = useState(TYPES);
+  const [text, setText] = useState("");
+
+  // a reloaded workbook may bring other years – keep the choice while it exists
+  useEffect(() => {
+    setFromYear((y) => (years.includes(y) ? y : years[years.length - 2] ?? ""));
+    setToYear((y) => (years.includes(y) ? y : years[years.length - 1] ?? ""));
+  }, [years]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listSnapshots().then((list) => {
+      if (!cancelled) setSnapshots(list);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!snapKey) {
+      setSnapModel(null);
+      return;
+    }
+    let cancelled = false; // another snapshot picked meanwhile
+    loadSnapshot(snapKey).then((s) => {
+      if (!cancelled) setSnapModel(s?.model ?? null);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [snapKey]);
+
+  // Dashboard filters pick the measures; a snapshot is diffed against the
+  // whole workbook so moves across a filtered status stay moves
+  const entries = useMemo(() => {
+    const current = localModel(model, t.lang);
+    if (mode === "years") {
+      const shown = filterModel(current, filters);
+      return fromYear && toYear ? diffYears(shown.rowsByTab, shown.tabs, fromYear, toYear, t) : [];
+    }
+    if (!snapModel) return [];
+    const before = localModel(snapModel, t.lang);
+    const kept = filteredRows([before, current], filters);
+    return diffSnapshots(before, current, { keep: (r) => kept.has(r), t });
+  }, [model, filters, mode, fromYear, toYear, snapModel, t]);
+
+  const visible = useMemo(() => {
+    const needle = text.toLowerCase();
+    return entries.filter(
+      (e) =>
+        types.includes(e.type) &&
+        (!needle || `${e.category} ${e.row.Measures}`.toLowerCase().includes(needle))
+    );
+  }, [entries, types, text]);
+
+  const byPillar = useMemo(() => groupBy(visible, "pillar"), [visible]);
+
+  async function handleKeep() {
+    const label = window.prompt(t("changes.snapshotPrompt"), new Date().toLocaleDateString(t.lang));
+    if (label === null) return;
+    const snap = await keepSnapshot(model, label);
+    if (snap) setSnapshots(await listSnapshots());
+  }
+
+  async function handleDelete() {
+    await deleteSnapshot(snapKey);
+    setSnapKey("");
+    setSnapshots(await listSnapshots());
+  }
+
+  function handleExport() {
+    const csv = Papa.unparse(
+      visible.map((e) => ({
+        Pillar: e.pillar,
+        Category: e.category,
+        Measure: e.row.Measures,
+        Change: t(`changes.type.${e.type}`),
+        Year: e.year ?? "",
+        // status names as shown, "No status" for a blank cell
+        From: e.type === "changed" ? vocab.label(e.from) : "",
+        To: e.type === "changed" ? vocab.label(e.to) : "",
+      }))
+    );
+    downloadFile(csv, "strategy_changes.csv", "text/csv;charset=utf-8");
+  }
+
+  return (
+    <Box>
+      <Paper
+        elevation={0}
+        sx={{ p: 2, mb: 3, display: "flex", gap: 2, flexWrap: "wrap", alignItems: "center", border: "1px solid #e0e0e0", borderRadius: 2 }}
+      >
+        <ToggleButtonGroup size="small" exclusive value={mode} onChange={(_, v) => v && setMode(v)}>
+          <ToggleButton value="years">{t("changes.betweenYears")}</ToggleButton>
+          <ToggleButton value="snapshot">{t("changes.sinceSnapshot")}</ToggleButton>
+        </ToggleButtonGroup>
+
+        {mode === "years" ? (
+          <>
+            <TextField select size="small" label={t("filter.from")} value={fromYear} onChange={(e) => setFromYear(e.target.value)} sx={{ minWidth: 110 }}>
+              {years.map((y) => (
+                <MenuItem key={y} value={y}>{y}</MenuItem>
+              ))}
+            </TextField>
+            <ArrowRightAltIcon color="action" />
+            <TextField select size="small" label={t("filter.to")} value={toYear} onChange={(e) => setToYear(e.target.value)} sx={{ minWidth: 110 }}>
+              {years.map((y) => (
+                <MenuItem key={y} value={y}>{y}</MenuItem>
+              ))}
+            </TextField>
+          </>
+        ) : (
+          <>
+            <TextField
+              select
+              size="small"
+              label={t("changes.snapshot")}
+              value={snapKey}
+              onChange={(e) => setSnapKey(e.target.value)}
+              sx={{ minWidth: 240 }}
+              disabled={!snapshots.length}
+              helperText={snapshots.length ? " " : t("changes.noSnapshots")}
+            >
+              {snapshots.map((s) => (
+                <MenuItem key={s.key} value={s.key}>
+                  {s.label || t("changes.snapshotDefault")} – {new Date(s.savedAt).toLocaleString(t.lang)}
+                </MenuItem>
+              ))}
+            </TextField>
+            {snapKey && (
+              <Tooltip title={t("changes.deleteSnapshot")}>
+                <IconButton size="small" onClick={handleDelete}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              </Tooltip>
+            )}
+            <Button size="small" onClick={handleKeep}>
+              {t("changes.keep")}
+            </Button>
+          </>
+        )}
+
+        <Box sx={{ display: "flex", gap: 0.5 }}>
+          {TYPES.map((type) => (
+            <Chip
+              key={type}
+              label={t(`changes.type.${type}`)}
+              size="small"
+              color={types.includes(type) ? "primary" : "default"}
+              variant={types.includes(type) ? "filled" : "outlined"}
+              onClick={() =>
+                setTypes((prev) => (prev.includes(type) ? prev.filter((x) => x !== type) : [...prev, type]))
+              }
+            />
+          ))}
+        </Box>
+        <TextField size="small" placeholder={t("changes.filter")} value={text} onChange={(e) => setText(e.target.value)} />
+        <Button
+          size="small"
+          variant="outlined"
+          startIcon={<FileDownloadIcon />}
+          onClick={handleExport}
+          disabled={!visible.length}
+          sx={{ ml: "auto" }}
+        >
+          {t("changes.exportCsv")}
+        </Button>
+      </Paper>
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        {t.plural("changes.count", visible.length)}
+      </Typography>
+
+      {Object.entries(byPillar).map(([pillar, items]) => (
+        <Paper key={pillar} elevation={0} sx={{ p: 2, mb: 3, border: "1px solid #e0e0e0", borderRadius: 2 }}>
+          <Typography variant="h6" gutterBottom>
+            {pillar}
+          </Typography>
+          {Object.entries(groupBy(items, "category")).map(([category, catItems]) => (
+            <Box key={category} sx={{ mb: 2 }}>
+              <Typography variant="subtitle2" color="text.secondary" gutterBottom>
+                {category}
+              </Typography>
+              {catItems.map((e, i) => (
+                <Box
+                  key={`${e.type}-${e.row.id}-${e.year ?? i}`}
+                  sx={{ display: "flex", alignItems: "center", gap: 1, py: 0.5, borderTop: "1px solid #f0f0f0" }}
+                >
+                  <Typography variant="body2" sx={{ flex: 1 }}>
+                    {e.row.Measures}
+                  </Typography>
+                  {e.type === "changed" ? (
+                    <>
+                      <Typography variant="caption" color="text.secondary">
+                        {e.year}
+                      </Typography>
+                      <StatusChip status={e.from} vocab={vocab} />
+                      <ArrowRightAltIcon fontSize="small" color="action" />
+                      <StatusChip status={e.to} vocab={vocab} />
+                    </>
+                  ) : (
+                    <Chip
+                      size="small"
+                      variant="outlined"
+                      color={e.type === "added" ? "success" : "error"}
+                      label={t(`changes.type.${e.type}`)}
+                    />
+                  )}
+                </Box>
+              ))}
+            </Box>
+          ))}
+        </Paper>
+      ))}
+    </Box>
+  );
+}
@@ -0,0 +1,49 @@
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import ChangesView from "./ChangesView";
+import { downloadFile } from "./helpers";
+import { listSnapshots, loadSnapshot } from "./snapshotCache";
+import { DEFAULT_VOCAB } from "./statuses";
+
+jest.mock("./helpers", () => ({ ...jest.requireActual("./helpers"), downloadFile: jest.fn() }));
+jest.mock("./snapshotCache", () => ({ listSnapshots: jest.fn(), loadSnapshot: jest.fn() }));
+
+const modelOf = (years, statuses) => ({
+  tabs: ["Education"],
+  rowsByTab: {
+    Education: [
+      { id: 0, Category: "1.1 Schools", Measures: "1.1.1 Build schools", ...Object.fromEntries(years.map((y, i) => [y, statuses[i]])) },
+    ],
+  },
+});
+const filters = { portfolios: [], tags: [], statuses: [], query: "" };
+
+beforeEach(() => listSnapshots.mockResolvedValue([]));
+
+test("follows the years of a reloaded workbook and exports status names", async () => {
+  const view = (model) => <ChangesView model={model} filters={filters} vocab={DEFAULT_VOCAB} />;
+  const { rerender } = render(view(modelOf(["22/23", "23/24"], ["started", "completed"])));
+  expect(screen.getByRole("combobox", { name: "To" })).toHaveTextContent("23/24");
+
+  rerender(view(modelOf(["24/25", "25/26"], ["", "delayed"])));
+  expect(screen.getByRole("combobox", { name: "From" })).toHaveTextContent("24/25");
+  expect(screen.getByRole("combobox", { name: "To" })).toHaveTextContent("25/26");
+
+  fireEvent.click(screen.getByRole("button", { name: "Export CSV" }));
+  const [csv] = downloadFile.mock.calls[0];
+  expect(csv.split("\r\n")[1]).toBe("Education,1.1 Schools,1.1.1 Build schools,Status changed,25/26,No status,Delayed");
+  await waitFor(() => expect(listSnapshots).toHaveBeenCalled());
+});
+
+test("a move out of the filtered status shows as a change since the snapshot", async () => {
+  listSnapshots.mockResolvedValue([{ key: "saved:1", savedAt: "2026-03-01T10:00:00Z", label: "Spring review" }]);
+  loadSnapshot.mockResolvedValue({ model: modelOf(["24/25"], ["delayed"]) });
+  render(<ChangesView model={modelOf(["24/25"], ["completed"])} filters={{ ...filters, statuses: ["delayed"] }} vocab={DEFAULT_VOCAB} />);
+
+  fireEvent.click(screen.getByRole("button", { name: "Since snapshot" }));
+  fireEvent.mouseDown(await screen.findByRole("combobox", { name: "Saved snapshot" }));
+  fireEvent.click(await screen.findByRole("option", { name: /^Spring review/ }));
+
+  expect(await screen.findByText("1.1.1 Build schools")).toBeInTheDocument();
+  expect(screen.getByText("Delayed")).toBeInTheDocument(); // from …
+  expect(screen.getByText("Completed")).toBeInTheDocument(); // … to – a change, not a removal
+});
@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { Box, Button, Checkbox, Divider, IconButton, Popover, Tooltip, Typography } from "@mui/material";
+import ViewColumnIcon from "@mui/icons-material/ViewColumn";
+import PushPinIcon from "@mui/icons-material/PushPin";
+import PushPinOutlinedIcon from "@mui/icons-material/PushPinOutlined";
+import ArrowUpwardIcon from "@mui/icons-material/ArrowUpward";
+import ArrowDownwardIcon from "@mui/icons-material/ArrowDownward";
+import { EMPTY_LAYOUT, moveField, orderFields, togglePin } from "./columnLayout";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * Column layout of the current tab – visibility, order and pinning for
+ * all of its grids at once (widths are set by dragging the headers).
+ */
+export default function ColumnLayoutMenu({ fields, layout, onChange, t = DEFAULT_T }) {
+  const [anchor, setAnchor] = useState(null);
+  const ordered = orderFields(fields, layout);
+  const pins = layout.pinned.filter((f) => fields.includes(f)).length;
+
+  return (
+    <>
+      <Button size="small" startIcon={<ViewColumnIcon />} onClick={(e) => setAnchor(e.currentTarget)}>
+        {t("columns.button")}
+      </Button>
+      <Popover
+        open={Boolean(anchor)}
+        anchorEl={anchor}
+        onClose={() => setAnchor(null)}
+        anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+      >
+        <Box sx={{ p: 1, minWidth: 300 }}>
+          {ordered.map((f, i) => {
+            const pinned = i < pins;
+            return (
+              <Box key={f} sx={{ display: "flex", alignItems: "center" }}>
+                <Checkbox
+                  size="small"
+                  checked={layout.visibility[f] !== false}
+                  onChange={(e) => onChange({ ...layout, visibility: { ...layout.visibility, [f]: e.target.checked } })}
+                  inputProps={{ "aria-label": t("columns.show", { field: t.field(f) }) }}
+                />
+                <Typography variant="body2" sx={{ flex: 1 }}>
+                  {t.field(f)}
+                </Typography>
+                <Tooltip title={t(pinned ? "columns.unpin" : "columns.pin")}>
+                  <IconButton size="small" onClick={() => onChange(togglePin(layout, f))}>
+                    {pinned ? <PushPinIcon fontSize="small" /> : <PushPinOutlinedIcon fontSize="small" />}
+                  </IconButton>
+                </Tooltip>
+                <IconButton
+                  size="small"
+                  aria-label={t("columns.moveLeft", { field: t.field(f) })}
+                  disabled={pinned || i === pins}
+                  onClick={() => onChange(moveField(layout, fields, f, -1))}
+                >
+                  <ArrowUpwardIcon fontSize="small" />
+                </IconButton>
+                <IconButton
+                  size="small"
+                  aria-label={t("columns.moveRight", { field: t.field(f) })}
+                  disabled={pinned || i === ordered.length - 1}
+                  onClick={() => onChange(moveField(layout, fields, f, 1))}
+                >
+                  <ArrowDownwardIcon fontSize="small" />
+                </IconButton>
+              </Box>
+            );
+          })}
+          <Divider sx={{ my: 1 }} />
+          <Button size="small" onClick={() => onChange(EMPTY_LAYOUT)}>
+            {t("columns.reset")}
+          </Button>
+        </Box>
+      </Popover>
+    </>
+  );
+}
@@ -0,0 +1,111 @@
+import { useMemo, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  TextField,
+  MenuItem,
+  Typography,
+} from "@mui/material";
+import ReportProblemOutlinedIcon from "@mui/icons-material/ReportProblemOutlined";
+import ErrorIcon from "@mui/icons-material/Error";
+import WarningAmberIcon from "@mui/icons-material/WarningAmber";
+import { DEFAULT_T, messageText } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Data issues – editor-facing list of the workbook validation results
+ * ------------------------------------------------------------------
+ */
+export default function DataIssuesPanel({ issues = [], t = DEFAULT_T }) {
+  const [open, setOpen] = useState(false);
+  const [sheet, setSheet] = useState("");
+
+  const sheets = useMemo(() => [...new Set(issues.map((i) => i.sheet))], [issues]);
+  const errors = issues.filter((i) => i.level === "error").length;
+  const shown = sheet ? issues.filter((i) => i.sheet === sheet) : issues;
+
+  return (
+    <>
+      <Badge badgeContent={issues.length} color={errors ? "error" : "warning"} max={999}>
+        <Button
+          variant="outlined"
+          size="small"
+          color={errors ? "error" : "inherit"}
+          startIcon={<ReportProblemOutlinedIcon />}
+          onClick={() => setOpen(true)}
+          disabled={!issues.length}
+        >
+          {t("issues.button")}
+        </Button>
+      </Badge>
+
+      <Dialog open={open} onClose={() => setOpen(false)} maxWidth="md" fullWidth>
+        <DialogTitle>{t("issues.button")}</DialogTitle>
+        <DialogContent dividers>
+          <Box sx={{ display: "flex", alignItems: "center", gap: 2, mb: 2 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ flex: 1 }}>
+              {t("issues.summary", {
+                errors: t.plural("issues.errors", errors),
+                warnings: t.plural("issues.warnings", issues.length - errors),
+              })}
+            </Typography>
+            <TextField
+              select
+              size="small"
+              label={t("issues.sheet")}
+              value={sheet}
+              onChange={(e) => setSheet(e.target.value)}
+              sx={{ minWidth: 180 }}
+            >
+              <MenuItem value="">{t("issues.allSheets")}</MenuItem>
+              {sheets.map((s) => (
+                <MenuItem key={s} value={s}>
+                  {s}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Box>
+          <Table size="small">
+            <TableHead>
+              <TableRow>
+                <TableCell />
+                <TableCell>{t("issues.sheet")}</TableCell>
+                <TableCell>{t("issues.row")}</TableCell>
+                <TableCell>{t("issues.issue")}</TableCell>
+              </TableRow>
+            </TableHead>
+            <TableBody>
+              {shown.map((i, idx) => (
+                <TableRow key={idx}>
+                  <TableCell sx={{ width: 32 }}>
+                    {i.level === "error" ? (
+                      <ErrorIcon color="error" fontSize="small" titleAccess={t("issues.error")} />
+                    ) : (
+                      <WarningAmberIcon color="warning" fontSize="small" titleAccess={t("issues.warning")} />
+                    )}
+                  </TableCell>
+                  <TableCell>{i.sheet}</TableCell>
+                  <TableCell>{i.row ?? "—"}</TableCell>
+                  <TableCell>{messageText(t, i)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setOpen(false)}>{t("common.close")}</Button>
+        </DialogActions>
+      </Dialog>
+    </>
+  );
+}
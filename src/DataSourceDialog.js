@@ -0,0 +1,149 @@
+import { useRef, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Typography,
+} from "@mui/material";
+import UploadFileIcon from "@mui/icons-material/UploadFile";
+import {
+  DEFAULT_SOURCE,
+  isDefaultSource,
+  parseSpreadsheetId,
+  readUploadedFiles,
+} from "./dataSource";
+import { parseWorkbook } from "./workbook";
+import { dashboardModel, readSnapshotJson } from "./strategyModel";
+import { DEFAULT_T, messageText } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Data source settings – spreadsheet ID or a local workbook / CSVs
+ * ------------------------------------------------------------------
+ * `onSheet(source)` switches to a spreadsheet; `onFile(model, name)`
+ * hands over an uploaded workbook, already parsed, or a JSON snapshot
+ * written by `npm run snapshot`.
+ */
+export default function DataSourceDialog({ open, onClose, source, onSheet, onFile, t = DEFAULT_T }) {
+  const [sheetInput, setSheetInput] = useState(source.kind === "sheet" ? source.id : "");
+  const [dragging, setDragging] = useState(false);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef(null);
+
+  async function handleFiles(files) {
+    if (!files?.length) return;
+    setError(null);
+    setBusy(true);
+    try {
+      const name = files.length === 1 ? files[0].name : t("source.csvFiles", { n: files.length });
+      const model = /\.json$/i.test(name)
+        ? dashboardModel(readSnapshotJson(await files[0].text()).model)
+        : parseWorkbook(await readUploadedFiles(files));
+      await onFile(model, name);
+      onClose();
+    } catch (err) {
+      console.error(err);
+      setError(err.key ? messageText(t, err) : t("source.unreadable")); // library errors ➜ the plain notice
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function handleUseSheet() {
+    const id = parseSpreadsheetId(sheetInput);
+    if (!id) {
+      setError(t("source.enterId"));
+      return;
+    }
+    onSheet({ kind: "sheet", id });
+    onClose();
+  }
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>{t("source.button")}</DialogTitle>
+      <DialogContent dividers>
+        <Typography variant="subtitle2" gutterBottom>
+          {t("source.google")}
+        </Typography>
+        <Box sx={{ display: "flex", gap: 1, mb: 3 }}>
+          <TextField
+            size="small"
+            fullWidth
+            label={t("source.idLabel")}
+            value={sheetInput}
+            onChange={(e) => setSheetInput(e.target.value)}
+            helperText={t("source.shareHint")}
+          />
+          <Button variant="contained" onClick={handleUseSheet} sx={{ alignSelf: "flex-start" }}>
+            {t("source.load")}
+          </Button>
+        </Box>
+
+        <Typography variant="subtitle2" gutterBottom>
+          {t("source.local")}
+        </Typography>
+        <Box
+          onDragOver={(e) => {
+            e.preventDefault();
+            setDragging(true);
+          }}
+          onDragLeave={() => setDragging(false)}
+          onDrop={(e) => {
+            e.preventDefault();
+            setDragging(false);
+            handleFiles(e.dataTransfer.files);
+          }}
+          onClick={() => inputRef.current?.click()}
+          sx={{
+            p: 3,
+            textAlign: "center",
+            cursor: "pointer",
+            border: "2px dashed",
+            borderColor: dragging ? "primary.main" : "#ccc",
+            borderRadius: 2,
+            bgcolor: dragging ? "action.hover" : "transparent",
+          }}
+        >
+          <UploadFileIcon color="action" sx={{ fontSize: 40 }} />
+          <Typography variant="body2">
+            {busy ? t("source.reading") : t("source.drop")}
+          </Typography>
+        </Box>
+        <input
+          ref={inputRef}
+          type="file"
+          hidden
+          multiple
+          accept=".xlsx,.xls,.ods,.csv,.json"
+          onChange={(e) => handleFiles(e.target.files)}
+        />
+        {error && (
+          <Alert severity="error" sx={{ mt: 2 }}>
+            {error}
+          </Alert>
+        )}
+      </DialogContent>
+      <DialogActions>
+        {!isDefaultSource(source) && (
+          <Button
+            onClick={() => {
+              onSheet(DEFAULT_SOURCE);
+              onClose();
+            }}
+            sx={{ mr: "auto" }}
+          >
+            {t("source.back")}
+          </Button>
+        )}
+        <Button onClick={onClose}>{t("common.cancel")}</Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
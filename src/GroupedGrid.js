@@ -0,0 +1,141 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { Box, Button, Typography } from "@mui/material";
+import ExpandMoreIcon from "@mui/icons-material/ExpandMore";
+import { DataGrid, gridDimensionsSelector, useGridApiRef } from "@mui/x-data-grid";
+import { groupedGridRows, isGroupRow } from "./grouping";
+import StatusSummary from "./StatusSummary";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Grouped grid – one virtualized DataGrid for every group of a tab
+ * ------------------------------------------------------------------
+ * The community grid has no row grouping, so each group is a header row
+ * spanning all columns (see `groupedGridRows`). While its measures scroll
+ * by, a copy of that header stays at the top of the grid. A click on the
+ * toggle or Enter on the header cell folds the group; `collapsed` holds
+ * the keys of the folded ones. The grid scrolls within `maxHeight`; with
+ * "none" it grows to all of its rows.
+ */
+
+function GroupHeader({ group, collapsed, year, vocab, onToggle, focusable, t }) {
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", columnGap: 3, rowGap: 0.5, flexWrap: "wrap", width: "100%", py: 0.5 }}>
+      <Typography variant="subtitle1" component="h2" fontWeight={600}>
+        <Button
+          color="inherit"
+          tabIndex={focusable ? 0 : -1}
+          aria-expanded={!collapsed}
+          onClick={() => onToggle(group.key)}
+          startIcon={<ExpandMoreIcon sx={{ transform: collapsed ? "rotate(-90deg)" : "none", transition: "transform 150ms" }} />}
+          sx={{ font: "inherit", textTransform: "none", textAlign: "left" }}
+        >
+          {group.label}
+        </Button>
+      </Typography>
+      <StatusSummary items={group.items} year={year} vocab={vocab} t={t} />
+    </Box>
+  );
+}
+
+export default function GroupedGrid({
+  groups,
+  collapsed,
+  onToggle,
+  onOpen,
+  columns,
+  year,
+  vocab,
+  getRowClassName,
+  sx,
+  maxHeight = "calc(100vh - 96px)",
+  t = DEFAULT_T,
+  ...gridProps
+}) {
+  const apiRef = useGridApiRef();
+  const rows = useMemo(() => groupedGridRows(groups, collapsed), [groups, collapsed]);
+  // group of every grid row, header rows included
+  const owners = useMemo(() => {
+    let owner = null;
+    return rows.map((r) => (isGroupRow(r) ? (owner = r.group) : owner));
+  }, [rows]);
+
+  // first row in view ➜ whose header to keep on top
+  const [topRow, setTopRow] = useState(0);
+  useEffect(
+    () => apiRef.current?.subscribeEvent("renderedRowsIntervalChange", (context) => setTopRow(context.firstRowIndex)),
+    [apiRef]
+  );
+  const stuck = rows[topRow] && !isGroupRow(rows[topRow]) ? owners[topRow] : null;
+
+  const header = useCallback(
+    (group, focusable) => (
+      <GroupHeader
+        group={group}
+        collapsed={collapsed.includes(group.key)}
+        year={year}
+        vocab={vocab}
+        onToggle={onToggle}
+        focusable={focusable}
+        t={t}
+      />
+    ),
+    [collapsed, year, vocab, onToggle, t]
+  );
+
+  // header rows span the row and render the group instead of a cell
+  const gridColumns = useMemo(
+    () =>
+      columns.map((col) => ({
+        ...col,
+        colSpan: (value, row, column, api) => (isGroupRow(row) ? api.current.getVisibleColumns().length : undefined),
+        renderCell: (params) =>
+          isGroupRow(params.row) ? header(params.row.group, params.hasFocus) : col.renderCell ? col.renderCell(params) : params.formattedValue,
+      })),
+    [columns, header]
+  );
+
+  return (
+    <Box sx={{ position: "relative", display: "flex", flexDirection: "column", maxHeight, minHeight: 240 }}>
+      <DataGrid
+        apiRef={apiRef}
+        rows={rows}
+        columns={gridColumns}
+        getRowHeight={() => "auto"} // measured from the rendered cells
+        getEstimatedRowHeight={() => 80}
+        columnBufferPx={4000} // keep pinned columns mounted when scrolled sideways
+        disableColumnSorting // order comes from "Sort by" – the header rows must stay put
+        disableColumnFilter
+        disableRowSelectionOnClick
+        onRowClick={(params) => !isGroupRow(params.row) && onOpen(params.row)}
+        onCellKeyDown={(params, e) => {
+          // Enter on a focused cell folds the group / opens the measure, like a click
+          if (e.key !== "Enter" || e.target !== e.currentTarget) return;
+          if (isGroupRow(params.row)) onToggle(params.row.group.key);
+          else onOpen(params.row);
+        }}
+        getRowClassName={(params) => (isGroupRow(params.row) ? "group-row" : getRowClassName?.(params) ?? "")}
+        density="compact"
+        sx={{ "& .group-row, & .group-row:hover": { bgcolor: "grey.100" }, ...sx }}
+        {...gridProps}
+      />
+      {stuck && (
+        <Box
+          aria-hidden // a copy of the header row above – keyboard users reach that one
+          sx={{
+            position: "absolute",
+            top: gridDimensionsSelector(apiRef).headerHeight,
+            left: 1,
+            right: 1,
+            zIndex: 4,
+            px: 1.25,
+            bgcolor: "grey.100",
+            borderBottom: "1px solid #e0e0e0",
+          }}
+        >
+          {header(stuck, false)}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,166 @@
+import {
+  Box,
+  Breadcrumbs,
+  Chip,
+  Divider,
+  Drawer,
+  IconButton,
+  Link,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import CloseIcon from "@mui/icons-material/Close";
+import LinkIcon from "@mui/icons-material/Link";
+import { FALLBACK_BG, norm, splitList, isYearField, textOn } from "./helpers";
+import { DEFAULT_LABELS } from "./labels";
+import StatusChip from "./StatusChip";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Measure detail – everything the grid columns leave out
+ * ------------------------------------------------------------------
+ * Yearly statuses as a timeline with the matching “Update …” notes, and
+ * Materials rendered as links.
+ */
+
+const URL_RE = /(https?:\/\/[^\s,;]+)/g;
+
+// "Update 24/25" ➜ "24/25"; a plain "Update" column belongs to no year
+const updateYear = (field) => field.match(/\d{2}\/\d{2}/)?.[0] ?? "";
+
+function Materials({ text }) {
+  const parts = String(text).split(URL_RE);
+  return (
+    <Typography variant="body2" component="div" sx={{ whiteSpace: "pre-line", wordBreak: "break-word" }}>
+      {parts.map((p, i) =>
+        i % 2 ? (
+          <Link key={i} href={p} target="_blank" rel="noopener noreferrer">
+            {p}
+          </Link>
+        ) : (
+          p
+        )
+      )}
+    </Typography>
+  );
+}
+
+export default function MeasureDrawer({
+  pillar,
+  row,
+  onClose,
+  portfolioColours,
+  tagColours,
+  vocab,
+  labels = DEFAULT_LABELS,
+  onPortfolioClick,
+  onTagClick,
+  t = DEFAULT_T,
+}) {
+  const fields = row ? Object.keys(row) : [];
+  const years = fields.filter(isYearField).sort();
+  const updateFields = fields.filter((f) => /Update/i.test(f) && String(row[f] ?? "").trim());
+  const updatesFor = (year) => updateFields.filter((f) => updateYear(f) === year);
+  const generalUpdates = updateFields.filter((f) => !years.includes(updateYear(f)));
+
+  return (
+    <Drawer anchor="right" open={Boolean(row)} onClose={onClose} PaperProps={{ sx: { width: { xs: "100%", sm: 480 } } }}>
+      {row && (
+        <Box sx={{ p: 3 }}>
+          <Box sx={{ display: "flex", alignItems: "flex-start", gap: 1 }}>
+            <Breadcrumbs sx={{ flex: 1, fontSize: 13 }}>
+              <span>{pillar}</span>
+              {row.Category && <span>{row.Category}</span>}
+              {row.Subcategory && <span>{row.Subcategory}</span>}
+            </Breadcrumbs>
+            <Tooltip title={t("drawer.copyLink")}>
+              <IconButton size="small" onClick={() => navigator.clipboard?.writeText(window.location.href)}>
+                <LinkIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            <IconButton size="small" onClick={onClose} aria-label={t("common.close")}>
+              <CloseIcon fontSize="small" />
+            </IconButton>
+          </Box>
+
+          <Typography variant="h6" sx={{ mt: 1, whiteSpace: "pre-line" }}>
+            {row.Measures}
+          </Typography>
+
+          <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, mt: 2 }}>
+            {splitList(row.Portfolio).map((p) => (
+              <Chip
+                key={`p-${p}`}
+                label={labels.label(p)}
+                size="small"
+                clickable
+                aria-label={t("chip.filterPortfolio", { name: labels.label(p) })}
+                onClick={(e) => onPortfolioClick(p, e.shiftKey)}
+                sx={{ bgcolor: portfolioColours.get(p) || FALLBACK_BG, color: textOn(portfolioColours.get(p) || FALLBACK_BG) }}
+              />
+            ))}
+            {splitList(row.Tags).map((tag) => (
+              <Chip
+                key={`t-${tag}`}
+                label={labels.label(tag)}
+                size="small"
+                variant="outlined"
+                clickable
+                aria-label={t("chip.filterTag", { name: labels.label(tag) })}
+                onClick={(e) => onTagClick(tag, e.shiftKey)}
+                sx={{ bgcolor: tagColours.get(tag) || FALLBACK_BG, color: textOn(tagColours.get(tag) || FALLBACK_BG) }}
+              />
+            ))}
+          </Box>
+
+          <Divider sx={{ my: 3 }} />
+          <Typography variant="subtitle2" gutterBottom>
+            {t("drawer.statusByYear")}
+          </Typography>
+          {years.map((y, i) => (
+            <Box key={y} sx={{ display: "flex", gap: 2 }}>
+              {/* timeline rail */}
+              <Box sx={{ display: "flex", flexDirection: "column", alignItems: "center", pt: 0.5 }}>
+                <Box sx={{ width: 10, height: 10, borderRadius: "50%", bgcolor: "primary.main" }} />
+                {i < years.length - 1 && <Box sx={{ flex: 1, width: 2, bgcolor: "divider" }} />}
+              </Box>
+              <Box sx={{ pb: 2, flex: 1 }}>
+                <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                  <Typography variant="body2" fontWeight={600} sx={{ minWidth: 48 }}>
+                    {y}
+                  </Typography>
+                  <StatusChip status={norm(String(row[y] ?? ""))} vocab={vocab} />
+                </Box>
+                {updatesFor(y).map((f) => (
+                  <Typography key={f} variant="body2" color="text.secondary" sx={{ mt: 0.5, whiteSpace: "pre-line" }}>
+                    {row[f]}
+                  </Typography>
+                ))}
+              </Box>
+            </Box>
+          ))}
+
+          {generalUpdates.map((f) => (
+            <Box key={f} sx={{ mt: 2 }}>
+              <Typography variant="subtitle2">{t.field(f)}</Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ whiteSpace: "pre-line" }}>
+                {row[f]}
+              </Typography>
+            </Box>
+          ))}
+
+          {String(row.Materials ?? "").trim() && (
+            <>
+              <Divider sx={{ my: 3 }} />
+              <Typography variant="subtitle2" gutterBottom>
+                {t.field("Materials")}
+              </Typography>
+              <Materials text={row.Materials} />
+            </>
+          )}
+        </Box>
+      )}
+    </Drawer>
+  );
+}
@@ -0,0 +1,255 @@
+import { useEffect, useState } from "react";
+import { Box, Dialog, IconButton, ToggleButton, ToggleButtonGroup, Tooltip, Typography } from "@mui/material";
+import CloseIcon from "@mui/icons-material/Close";
+import FullscreenIcon from "@mui/icons-material/Fullscreen";
+import FullscreenExitIcon from "@mui/icons-material/FullscreenExit";
+import NavigateBeforeIcon from "@mui/icons-material/NavigateBefore";
+import NavigateNextIcon from "@mui/icons-material/NavigateNext";
+import { countStatuses, statusIn } from "./helpers";
+import { ADVANCE_OPTIONS } from "./slides";
+import { percentComplete } from "./statuses";
+import StatusChip from "./StatusChip";
+import StatusIcon from "./StatusIcon";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Presentation – full-screen slides for projectors and kiosks
+ * ------------------------------------------------------------------
+ * Steps through the deck of ./slides in large type. Arrow keys, Page Up /
+ * Page Down (what presentation clickers send) and Space move; Home / End
+ * jump; F toggles full screen; Esc ends. With `advance` (seconds) the deck
+ * moves on by itself and starts over after the last slide.
+ */
+const NEXT_KEYS = ["ArrowRight", "ArrowDown", "PageDown", " "];
+const PREVIOUS_KEYS = ["ArrowLeft", "ArrowUp", "PageUp", "Backspace"];
+
+const toggleFullscreen = () =>
+  document.fullscreenElement
+    ? document.exitFullscreen?.()
+    : document.documentElement.requestFullscreen?.().catch(() => {}); // refused without a user gesture
+
+// Stacked status bar plus the completion share, sized for the room
+function Progress({ items, year, vocab, height = 28 }) {
+  const counts = countStatuses(items, year);
+  const parts = [...vocab.list.map((s) => s.key), ""].filter((key) => counts[key]);
+  const pct = percentComplete(items, year, vocab);
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 3 }}>
+      <Box role="presentation" sx={{ display: "flex", flex: 1, height, borderRadius: 1, overflow: "hidden", bgcolor: "#f5f5f5" }}>
+        {parts.map((key) => (
+          <Box key={key || "none"} sx={{ flex: counts[key], bgcolor: vocab.colour(key) || "#fafafa" }} />
+        ))}
+      </Box>
+      <Typography sx={{ fontSize: height * 1.1, fontWeight: 600, minWidth: "4ch", textAlign: "right" }}>
+        {pct === null ? "–" : `${pct} %`}
+      </Typography>
+    </Box>
+  );
+}
+
+function StatusCounts({ items, year, vocab }) {
+  const counts = countStatuses(items, year);
+  return (
+    <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1.5 }}>
+      {[...vocab.list.map((s) => s.key), ""]
+        .filter((key) => counts[key])
+        .map((key) => (
+          <StatusChip
+            key={key || "none"}
+            status={key}
+            vocab={vocab}
+            label={`${counts[key]} ${vocab.label(key)}`}
+            size="medium"
+            sx={{ fontSize: "1.25rem", height: 44, px: 1 }}
+          />
+        ))}
+    </Box>
+  );
+}
+
+function Slide({ slide, year, vocab, t }) {
+  return (
+    <Box sx={{ display: "flex", flexDirection: "column", gap: 3, minHeight: 0, flex: 1 }}>
+      <Box>
+        {slide.kind === "category" && (
+          <Typography variant="h5" component="p" color="text.secondary">
+            {slide.pillar}
+          </Typography>
+        )}
+        <Typography id="slide-title" variant="h2" component="h2" fontWeight={600}>
+          {slide.label}
+        </Typography>
+        <Typography variant="h5" component="p" color="text.secondary">
+          {t.plural("measures", slide.items.length)}
+          {year && ` · ${year}`}
+        </Typography>
+      </Box>
+      {year && <Progress items={slide.items} year={year} vocab={vocab} />}
+      {year && <StatusCounts items={slide.items} year={year} vocab={vocab} />}
+
+      <Box component="ul" sx={{ listStyle: "none", p: 0, m: 0, overflow: "auto", minHeight: 0 }}>
+        {slide.parts.map((part) => (
+          <Box
+            component="li"
+            key={part.key}
+            sx={{ display: "grid", gridTemplateColumns: "minmax(0, 2fr) minmax(0, 3fr)", alignItems: "center", gap: 4, py: 1 }}
+          >
+            <Typography variant="h5" component="span">
+              {part.label}
+            </Typography>
+            {year ? <Progress items={part.items} year={year} vocab={vocab} height={18} /> : <span />}
+          </Box>
+        ))}
+        {slide.kind === "category" &&
+          slide.items.map((r) => (
+            <Box
+              component="li"
+              key={r.id}
+              sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 3, py: 1, borderBottom: "1px solid #e0e0e0" }}
+            >
+              <Typography sx={{ fontSize: "clamp(1.1rem, 1.6vw, 1.75rem)" }}>{r.Measures}</Typography>
+              {year && <StatusChip status={statusIn(r, year)} vocab={vocab} size="medium" sx={{ fontSize: "1.1rem" }} />}
+            </Box>
+          ))}
+      </Box>
+    </Box>
+  );
+}
+
+export default function PresentationView({
+  open,
+  onClose,
+  slides,
+  year,
+  vocab,
+  filterText,
+  advance = 0,
+  onAdvanceChange,
+  title,
+  t = DEFAULT_T,
+}) {
+  const [index, setIndex] = useState(0);
+  const [fullscreen, setFullscreen] = useState(false);
+  const at = Math.min(index, Math.max(slides.length - 1, 0)); // the deck shrinks when filters change
+  const go = (i) => setIndex(Math.max(0, Math.min(slides.length - 1, i)));
+
+  useEffect(() => {
+    if (open) setIndex(0);
+  }, [open]);
+
+  // auto-advance, round and round
+  useEffect(() => {
+    if (!open || !advance || slides.length < 2) return;
+    const timer = setTimeout(() => setIndex((at + 1) % slides.length), advance * 1000);
+    return () => clearTimeout(timer);
+  }, [open, advance, at, slides.length]);
+
+  useEffect(() => {
+    const onChange = () => setFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener("fullscreenchange", onChange);
+    return () => document.removeEventListener("fullscreenchange", onChange);
+  }, []);
+
+  const close = () => {
+    if (document.fullscreenElement) document.exitFullscreen?.();
+    onClose();
+  };
+
+  const onKeyDown = (e) => {
+    // Space / Enter stay with a focused control
+    if (e.key === " " && e.target.closest?.("button")) return;
+    if (NEXT_KEYS.includes(e.key)) go(at + 1);
+    else if (PREVIOUS_KEYS.includes(e.key)) go(at - 1);
+    else if (e.key === "Home") go(0);
+    else if (e.key === "End") go(slides.length - 1);
+    else if (e.key === "f" || e.key === "F") toggleFullscreen();
+    else return;
+    e.preventDefault();
+  };
+
+  const slide = slides[at];
+
+  return (
+    <Dialog
+      open={open}
+      onClose={close}
+      fullScreen
+      onKeyDown={onKeyDown}
+      slotProps={{ paper: { "aria-label": t("present.title"), "aria-labelledby": undefined } }} // no title element to point at
+    >
+      <Box sx={{ display: "flex", alignItems: "center", gap: 2, px: 3, py: 1, borderBottom: "1px solid #e0e0e0" }}>
+        <Typography variant="subtitle1" fontWeight={600}>
+          {title || t("app.title")}
+        </Typography>
+        {filterText && (
+          <Typography variant="body2" color="text.secondary" noWrap sx={{ minWidth: 0 }}>
+            {filterText}
+          </Typography>
+        )}
+        <Box sx={{ ml: "auto", display: "flex", alignItems: "center", gap: 1 }}>
+          <Typography variant="body2" color="text.secondary">
+            {t("present.advance")}
+          </Typography>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={advance}
+            onChange={(_, v) => v !== null && onAdvanceChange(v)}
+            aria-label={t("present.advance")}
+          >
+            {ADVANCE_OPTIONS.map((s) => (
+              <ToggleButton key={s} value={s} sx={{ py: 0.25 }}>
+                {s ? t("present.seconds", { n: s }) : t("present.off")}
+              </ToggleButton>
+            ))}
+          </ToggleButtonGroup>
+          <Tooltip title={t("present.fullscreen")}>
+            <IconButton aria-label={t("present.fullscreen")} aria-pressed={fullscreen} onClick={toggleFullscreen}>
+              {fullscreen ? <FullscreenExitIcon /> : <FullscreenIcon />}
+            </IconButton>
+          </Tooltip>
+          <Tooltip title={t("present.close")}>
+            <IconButton aria-label={t("present.close")} onClick={close}>
+              <CloseIcon />
+            </IconButton>
+          </Tooltip>
+        </Box>
+      </Box>
+
+      <Box sx={{ flex: 1, minHeight: 0, display: "flex", flexDirection: "column", px: { xs: 3, md: 8 }, py: 4 }}>
+        {slide ? (
+          <Slide slide={slide} year={year} vocab={vocab} t={t} />
+        ) : (
+          <Typography variant="h4" color="text.secondary" sx={{ m: "auto" }}>
+            {t("present.empty")}
+          </Typography>
+        )}
+      </Box>
+
+      <Box sx={{ display: "flex", alignItems: "center", flexWrap: "wrap", gap: 2, px: 3, py: 1.5, borderTop: "1px solid #e0e0e0" }}>
+        {vocab.list.map((s) => (
+          <Box key={s.key} sx={{ display: "inline-flex", alignItems: "center", gap: 0.75 }}>
+            <Box component="span" aria-hidden="true" sx={{ width: 16, height: 16, borderRadius: "50%", bgcolor: s.colour, border: "1px solid #bdbdbd" }} />
+            <StatusIcon status={s.key} vocab={vocab} fontSize="small" />
+            <Typography variant="body1">{vocab.label(s.key)}</Typography>
+          </Box>
+        ))}
+        <Box sx={{ ml: "auto", display: "flex", alignItems: "center", gap: 1 }}>
+          <Typography variant="caption" color="text.secondary" sx={{ display: { xs: "none", md: "block" } }}>
+            {t("present.hint")}
+          </Typography>
+          <IconButton aria-label={t("present.previous")} onClick={() => go(at - 1)} disabled={at === 0}>
+            <NavigateBeforeIcon />
+          </IconButton>
+          <Typography variant="h6" component="span" aria-live="polite">
+            {slides.length ? t("present.slide", { n: at + 1, total: slides.length }) : ""}
+          </Typography>
+          <IconButton aria-label={t("present.next")} onClick={() => go(at + 1)} disabled={at >= slides.length - 1}>
+            <NavigateNextIcon />
+          </IconButton>
+        </Box>
+      </Box>
+    </Dialog>
+  );
+}
@@ -0,0 +1,164 @@
+import { useMemo } from "react";
+import { Box, Paper, Typography } from "@mui/material";
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  LineElement,
+  PointElement,
+  Filler,
+  Tooltip,
+  Legend,
+} from "chart.js";
+import { Bar, Line } from "react-chartjs-2";
+import { norm, splitList, yearFields, countStatuses } from "./helpers";
+import { DEFAULT_LABELS } from "./labels";
+import { filterRows } from "./search";
+import { percentComplete } from "./statuses";
+import { DEFAULT_T } from "./i18n";
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineElement, PointElement, Filler, Tooltip, Legend);
+
+/**
+ * ------------------------------------------------------------------
+ * Progress – status counts per pillar, year and portfolio
+ * ------------------------------------------------------------------
+ */
+const NO_STATUS = ""; // bucket for empty yearly cells
+
+// One stacked dataset per status of the vocabulary, plus one for statuses outside it
+// (counted as unknown by StatusSummary); `countsPerX` = [{ status ➜ n }, …]
+export const statusDatasets = (vocab, countsPerX, t = DEFAULT_T, extra = {}) =>
+  [
+    ...[...vocab.list.map((s) => s.key), NO_STATUS].map((s) => ({
+      label: vocab.label(s),
+      data: countsPerX.map((c) => c[s] || 0),
+      backgroundColor: vocab.colour(s) || "#fafafa",
+    })),
+    {
+      label: t("status.other"),
+      data: countsPerX.map((c) =>
+        Object.entries(c).reduce((n, [s, k]) => (s === NO_STATUS || vocab.has(s) ? n : n + k), 0)
+      ),
+      backgroundColor: "#ffffff",
+    },
+  ]
+    .map((ds) => ({ ...ds, borderColor: "#bdbdbd", borderWidth: 1, ...extra }))
+    .filter((ds) => ds.data.some(Boolean)); // hide statuses that never occur
+
+const stackedOptions = (extra = {}) => ({
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: { legend: { position: "bottom", labels: { boxWidth: 12 } } },
+  scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true, ticks: { precision: 0 } } },
+  ...extra,
+});
+
+function ChartCard({ heading, subheading, height = 280, children }) {
+  return (
+    <Paper elevation={0} sx={{ p: 2, border: "1px solid #e0e0e0", borderRadius: 2 }}>
+      <Typography variant="subtitle1" fontWeight={600}>
+        {heading}
+      </Typography>
+      {subheading && (
+        <Typography variant="caption" color="text.secondary">
+          {subheading}
+        </Typography>
+      )}
+      <Box sx={{ height, mt: 1 }}>{children}</Box>
+    </Paper>
+  );
+}
+
+const completeText = (pct, t) => (pct === null ? "" : ` · ${t("progress.complete", { pct })}`);
+
+export default function ProgressView({
+  tabs,
+  rowsByTab,
+  filters,
+  portfolioOptions,
+  vocab,
+  labels = DEFAULT_LABELS,
+  t = DEFAULT_T,
+}) {
+  // Filtered rows per pillar – same rules as the tables
+  const rowsByPillar = useMemo(
+    () => Object.fromEntries(tabs.map((tab) => [tab, filterRows(rowsByTab[tab], filters)])),
+    [tabs, rowsByTab, filters]
+  );
+  const allRows = useMemo(() => Object.values(rowsByPillar).flat(), [rowsByPillar]);
+  const years = useMemo(() => yearFields(allRows), [allRows]);
+  const latest = years[years.length - 1];
+
+  // Year-over-year trend across every pillar
+  const trend = useMemo(
+    () => ({
+      labels: years,
+      datasets: statusDatasets(vocab, years.map((y) => countStatuses(allRows, y)), t, { fill: true, tension: 0.2 }),
+    }),
+    [years, allRows, vocab, t]
+  );
+
+  // Latest-year status per portfolio (a shared measure counts for each owner)
+  const byPortfolio = useMemo(() => {
+    if (!latest) return null;
+    const owners = portfolioOptions.filter((p) =>
+      allRows.some((r) => splitList(r.Portfolio).includes(norm(p)))
+    );
+    const counts = owners.map((p) =>
+      countStatuses(allRows.filter((r) => splitList(r.Portfolio).includes(norm(p))), latest)
+    );
+    return { labels: owners.map(labels.label), datasets: statusDatasets(vocab, counts, t) };
+  }, [latest, allRows, portfolioOptions, vocab, labels, t]);
+
+  if (!years.length) {
+    return (
+      <Typography color="text.secondary" sx={{ mt: 4, textAlign: "center" }}>
+        {t("progress.none")}
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ display: "grid", gap: 3 }}>
+      <ChartCard
+        heading={t("progress.trend")}
+        subheading={t("progress.acrossAll", { n: allRows.length }) + completeText(percentComplete(allRows, latest, vocab), t)}
+      >
+        <Line data={trend} options={stackedOptions()} />
+      </ChartCard>
+
+      <Box sx={{ display: "grid", gap: 3, gridTemplateColumns: { xs: "1fr", md: "1fr 1fr", xl: "1fr 1fr 1fr" } }}>
+        {tabs.map((tab) => {
+          const rows = rowsByPillar[tab];
+          const pillarYears = yearFields(rows);
+          const data = {
+            labels: pillarYears,
+            datasets: statusDatasets(vocab, pillarYears.map((y) => countStatuses(rows, y)), t),
+          };
+          const pct = percentComplete(rows, pillarYears[pillarYears.length - 1], vocab);
+          return (
+            <ChartCard
+              key={tab}
+              heading={tab}
+              subheading={t.plural("measures", rows.length) + completeText(pct, t)}
+              height={240}
+            >
+              <Bar data={data} options={stackedOptions()} />
+            </ChartCard>
+          );
+        })}
+      </Box>
+
+      {byPortfolio && (
+        <ChartCard
+          heading={t("progress.byPortfolio", { year: latest })}
+          height={Math.max(240, byPortfolio.labels.length * 28 + 80)}
+        >
+          <Bar data={byPortfolio} options={stackedOptions({ indexAxis: "y" })} />
+        </ChartCard>
+      )}
+    </Box>
+  );
+}
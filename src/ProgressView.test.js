@@ -0,0 +1,16 @@
+import { statusDatasets } from "./ProgressView";
+import { DEFAULT_VOCAB } from "./statuses";
+import { countStatuses } from "./helpers";
+import { translator } from "./i18n";
+
+test("plots statuses outside the vocabulary as their own dataset", () => {
+  const rows = ["completed", "on hold", "", "paused", "completed"].map((s) => ({ "24/25": s }));
+  const datasets = statusDatasets(DEFAULT_VOCAB, [countStatuses(rows, "24/25")], translator("de"));
+  expect(datasets.map((ds) => [ds.label, ds.data[0]])).toEqual([
+    ["Completed", 2],
+    ["No status", 1],
+    ["Anderer Status", 2],
+  ]);
+  // Every row lands in exactly one stack, matching the header counts
+  expect(datasets.reduce((n, ds) => n + ds.data[0], 0)).toBe(rows.length);
+});
@@ -0,0 +1,147 @@
+import { useRef, useState } from "react";
+import {
+  Button,
+  Divider,
+  IconButton,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Tooltip,
+} from "@mui/material";
+import BookmarksIcon from "@mui/icons-material/Bookmarks";
+import BookmarkAddIcon from "@mui/icons-material/BookmarkAdd";
+import EditIcon from "@mui/icons-material/Edit";
+import DeleteIcon from "@mui/icons-material/Delete";
+import FileDownloadIcon from "@mui/icons-material/FileDownload";
+import FileUploadIcon from "@mui/icons-material/FileUpload";
+import { downloadFile } from "./helpers";
+import { importViews, viewsToJson } from "./savedViews";
+import { DEFAULT_T, messageText } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Saved views menu – apply, save, rename, delete, export / import
+ * ------------------------------------------------------------------
+ * `views` is owned by the dashboard; every change goes through
+ * `onChange(nextViews)`. `onSave(name)` stores the current state.
+ */
+export default function SavedViewsMenu({ views, onApply, onSave, onChange, disabled, t = DEFAULT_T }) {
+  const [anchor, setAnchor] = useState(null);
+  const inputRef = useRef(null);
+  const close = () => setAnchor(null);
+
+  function handleSave() {
+    close();
+    const name = window.prompt(t("views.namePrompt"), "");
+    if (name?.trim()) onSave(name.trim());
+  }
+
+  function handleRename(view) {
+    const name = window.prompt(t("views.renamePrompt"), view.name);
+    if (name?.trim()) onChange(views.map((v) => (v.id === view.id ? { ...v, name: name.trim() } : v)));
+  }
+
+  function handleDelete(view) {
+    if (window.confirm(t("views.deleteConfirm", { name: view.name }))) onChange(views.filter((v) => v.id !== view.id));
+  }
+
+  async function handleImport(file) {
+    if (!file) return;
+    try {
+      onChange(importViews(await file.text(), views));
+    } catch (err) {
+      window.alert(messageText(t, err));
+    }
+  }
+
+  return (
+    <>
+      <Button
+        size="small"
+        variant="outlined"
+        startIcon={<BookmarksIcon />}
+        onClick={(e) => setAnchor(e.currentTarget)}
+        disabled={disabled}
+      >
+        {t("views.button")}
+      </Button>
+      <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={close}>
+        {views.map((v) => (
+          <MenuItem
+            key={v.id}
+            onClick={() => {
+              close();
+              onApply(v);
+            }}
+            sx={{ minWidth: 280 }}
+          >
+            <ListItemText primary={v.name} secondary={new Date(v.savedAt).toLocaleDateString(t.lang)} />
+            <Tooltip title={t("views.rename")}>
+              <IconButton
+                size="small"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleRename(v);
+                }}
+              >
+                <EditIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+            <Tooltip title={t("views.delete")}>
+              <IconButton
+                size="small"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDelete(v);
+                }}
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Tooltip>
+          </MenuItem>
+        ))}
+        {views.length > 0 && <Divider />}
+        <MenuItem onClick={handleSave}>
+          <ListItemIcon>
+            <BookmarkAddIcon fontSize="small" />
+          </ListItemIcon>
+          {t("views.save")}
+        </MenuItem>
+        <MenuItem
+          disabled={!views.length}
+          onClick={() => {
+            close();
+            downloadFile(viewsToJson(views), "dashboard-views.json", "application/json");
+          }}
+        >
+          <ListItemIcon>
+            <FileDownloadIcon fontSize="small" />
+          </ListItemIcon>
+          {t("views.export")}
+        </MenuItem>
+        <MenuItem
+          onClick={() => {
+            close();
+            inputRef.current?.click();
+          }}
+        >
+          <ListItemIcon>
+            <FileUploadIcon fontSize="small" />
+          </ListItemIcon>
+          {t("views.import")}
+        </MenuItem>
+      </Menu>
+      <input
+        ref={inputRef}
+        type="file"
+        hidden
+        accept=".json,application/json"
+        onChange={(e) => {
+          handleImport(e.target.files[0]);
+          e.target.value = ""; // same file can be picked again
+        }}
+      />
+    </>
+  );
+}
@@ -0,0 +1,234 @@
+import { useMemo } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  MenuItem,
+  Paper,
+  TextField,
+  Typography,
+} from "@mui/material";
+import PrintIcon from "@mui/icons-material/Print";
+import { Chart as ChartJS, CategoryScale, LinearScale, LineElement, PointElement, Tooltip } from "chart.js";
+import { Line } from "react-chartjs-2";
+import { FALLBACK_BG, measureKey, norm, textOn } from "./helpers";
+import { DEFAULT_LABELS } from "./labels";
+import { portfolioScorecard } from "./scorecard";
+import StatusChip from "./StatusChip";
+import StatusSummary from "./StatusSummary";
+import { DEFAULT_T } from "./i18n";
+
+ChartJS.register(CategoryScale, LinearScale, LineElement, PointElement, Tooltip);
+
+/**
+ * ------------------------------------------------------------------
+ * Scorecards – one printable page per Config portfolio
+ * ------------------------------------------------------------------
+ * Every measure the portfolio owns, whatever the dashboard filters; the
+ * page is addressed by `card` in the URL and prints without the app chrome
+ * (see the `no-print` class in index.css).
+ */
+
+function Section({ heading, children }) {
+  return (
+    <Box sx={{ breakInside: "avoid", mt: 3 }}>
+      <Typography variant="subtitle1" component="h3" fontWeight={600} gutterBottom>
+        {heading}
+      </Typography>
+      {children}
+    </Box>
+  );
+}
+
+// Measure line – text and pillar open the detail drawer, `children` trail it
+function MeasureItem({ pillar, row, onOpen, children }) {
+  return (
+    <ListItem divider disablePadding sx={{ gap: 1 }}>
+      <ListItemButton onClick={() => onOpen(`${pillar}:${measureKey(row)}`)} sx={{ px: 1 }}>
+        <ListItemText primary={row.Measures} secondary={pillar} primaryTypographyProps={{ variant: "body2" }} />
+      </ListItemButton>
+      {children}
+    </ListItem>
+  );
+}
+
+export default function ScorecardView({
+  tabs,
+  rowsByTab,
+  portfolio,
+  portfolioOptions,
+  portfolioColours,
+  vocab,
+  labels = DEFAULT_LABELS,
+  onSelect,
+  onOpenMeasure,
+  t = DEFAULT_T,
+}) {
+  const card = useMemo(
+    () => (portfolio ? portfolioScorecard({ tabs, rowsByTab }, portfolio, vocab) : null),
+    [tabs, rowsByTab, portfolio, vocab]
+  );
+
+  if (!card) {
+    return (
+      <Typography color="text.secondary" sx={{ mt: 4, textAlign: "center" }}>
+        {t("scorecard.none")}
+      </Typography>
+    );
+  }
+
+  const colour = portfolioColours.get(card.key) || FALLBACK_BG;
+  const latestPct = card.completion[card.completion.length - 1]?.pct ?? null;
+  const trend = {
+    labels: card.completion.map((c) => c.year),
+    datasets: [
+      {
+        label: t("scorecard.completion"),
+        data: card.completion.map((c) => c.pct),
+        borderColor: colour,
+        backgroundColor: colour,
+        tension: 0.2,
+      },
+    ],
+  };
+
+  return (
+    <Box>
+      <Box className="no-print" sx={{ display: "flex", gap: 2, alignItems: "center", mb: 2 }}>
+        <TextField
+          select
+          size="small"
+          label={t("scorecard.portfolio")}
+          value={card.key}
+          onChange={(e) => onSelect(e.target.value)}
+          sx={{ minWidth: 260 }}
+        >
+          {portfolioOptions.map((p) => (
+            <MenuItem key={norm(p)} value={norm(p)}>
+              {labels.label(p)}
+            </MenuItem>
+          ))}
+        </TextField>
+        <Button size="small" variant="outlined" startIcon={<PrintIcon />} onClick={() => window.print()}>
+          {t("scorecard.print")}
+        </Button>
+      </Box>
+
+      <Paper
+        elevation={0}
+        component="article"
+        aria-labelledby="scorecard-title"
+        sx={{ p: 3, border: "1px solid #e0e0e0", borderTop: `8px solid ${colour}`, borderRadius: 2 }}
+      >
+        <Box sx={{ display: "flex", alignItems: "center", gap: 2, flexWrap: "wrap" }}>
+          <Typography id="scorecard-title" variant="h5" component="h2">
+            {labels.label(card.key)}
+          </Typography>
+          <Typography color="text.secondary">
+            {t.plural("measures", card.total)}
+            {latestPct !== null && ` · ${t("progress.complete", { pct: latestPct })} (${card.latest})`}
+          </Typography>
+        </Box>
+
+        {!card.total ? (
+          <Typography color="text.secondary" sx={{ mt: 2 }}>
+            {t("scorecard.empty")}
+          </Typography>
+        ) : (
+          <>
+            <Section heading={t("scorecard.byPillar")}>
+              {card.byPillar.map(({ pillar, rows }) => (
+                <Box key={pillar} sx={{ display: "flex", alignItems: "center", gap: 2, py: 0.5 }}>
+                  <Typography variant="body2" sx={{ minWidth: 200 }}>
+                    {pillar}
+                  </Typography>
+                  <StatusSummary items={rows} year={card.latest} vocab={vocab} t={t} />
+                </Box>
+              ))}
+            </Section>
+
+            {card.latest && (
+              <Section heading={t("scorecard.statusIn", { year: card.latest })}>
+                <Box sx={{ display: "flex", flexWrap: "wrap", gap: 1 }}>
+                  {[...vocab.list.map((s) => s.key), ""]
+                    .filter((s) => card.statuses[s])
+                    .map((s) => (
+                      <StatusChip key={s || "none"} status={s} vocab={vocab} label={`${vocab.label(s)}: ${card.statuses[s]}`} />
+                    ))}
+                </Box>
+              </Section>
+            )}
+
+            {card.completion.length > 1 && (
+              <Section heading={t("scorecard.trend")}>
+                {card.movement && (
+                  <Typography variant="body2" color="text.secondary" gutterBottom>
+                    {t("scorecard.movement", card.movement)}
+                  </Typography>
+                )}
+                <Box sx={{ height: 200 }}>
+                  <Line
+                    data={trend}
+                    options={{
+                      responsive: true,
+                      maintainAspectRatio: false,
+                      animation: false, // drawn in full before printing
+                      scales: { y: { min: 0, max: 100, ticks: { callback: (v) => `${v} %` } } },
+                    }}
+                  />
+                </Box>
+              </Section>
+            )}
+
+            <Section heading={t("scorecard.flagged")}>
+              {card.flagged.length ? (
+                <List dense disablePadding>
+                  {card.flagged.map(({ pillar, row, status }) => (
+                    <MeasureItem key={`${pillar}:${row.id}`} pillar={pillar} row={row} onOpen={onOpenMeasure}>
+                      <StatusChip status={status} vocab={vocab} />
+                    </MeasureItem>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  {t("scorecard.flaggedNone", { year: card.latest })}
+                </Typography>
+              )}
+            </Section>
+
+            <Section heading={t("scorecard.shared")}>
+              {card.shared.length ? (
+                <List dense disablePadding>
+                  {card.shared.map(({ pillar, row, others }) => (
+                    <MeasureItem key={`${pillar}:${row.id}`} pillar={pillar} row={row} onOpen={onOpenMeasure}>
+                      <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.5, justifyContent: "flex-end" }}>
+                        {others.map((p) => (
+                          <Chip
+                            key={p}
+                            size="small"
+                            label={labels.label(p)}
+                            aria-label={t("scorecard.open", { name: labels.label(p) })}
+                            onClick={() => onSelect(p)}
+                            sx={{ bgcolor: portfolioColours.get(p) || FALLBACK_BG, color: textOn(portfolioColours.get(p) || FALLBACK_BG) }}
+                          />
+                        ))}
+                      </Box>
+                    </MeasureItem>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body2" color="text.secondary">
+                  {t("scorecard.sharedNone")}
+                </Typography>
+              )}
+            </Section>
+          </>
+        )}
+      </Paper>
+    </Box>
+  );
+}
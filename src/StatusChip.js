@@ -0,0 +1,23 @@
+import { Chip } from "@mui/material";
+import { FALLBACK_BG } from "./helpers";
+import { DEFAULT_VOCAB } from "./statuses";
+import StatusIcon from "./StatusIcon";
+
+// Yearly status as a coloured chip with its icon; `status` is the normalised value
+export default function StatusChip({ status, vocab = DEFAULT_VOCAB, ...props }) {
+  return (
+    <Chip
+      size="small"
+      label={vocab.label(status)}
+      variant={status ? "filled" : "outlined"}
+      icon={<StatusIcon status={status} vocab={vocab} />}
+      {...props}
+      sx={{
+        bgcolor: status ? vocab.colour(status) || FALLBACK_BG : "transparent",
+        color: vocab.textColour(status),
+        "& .MuiChip-icon": { color: "inherit" },
+        ...props.sx,
+      }}
+    />
+  );
+}
@@ -0,0 +1,43 @@
+import RadioButtonUncheckedIcon from "@mui/icons-material/RadioButtonUnchecked";
+import PlayCircleOutlineIcon from "@mui/icons-material/PlayCircleOutline";
+import AutorenewIcon from "@mui/icons-material/Autorenew";
+import WarningAmberIcon from "@mui/icons-material/WarningAmber";
+import TrendingUpIcon from "@mui/icons-material/TrendingUp";
+import TimelapseIcon from "@mui/icons-material/Timelapse";
+import BlockIcon from "@mui/icons-material/Block";
+import CheckCircleIcon from "@mui/icons-material/CheckCircle";
+import HelpOutlineIcon from "@mui/icons-material/HelpOutline";
+import RemoveCircleOutlineIcon from "@mui/icons-material/RemoveCircleOutline";
+import { DEFAULT_VOCAB } from "./statuses";
+
+/**
+ * Shape cue next to every status colour, so the colour is never the only
+ * signal. Built-in statuses have their own icon; Config-only ones get one
+ * from their completion weight.
+ */
+const ICONS = {
+  "not started": RadioButtonUncheckedIcon,
+  started: PlayCircleOutlineIcon,
+  maintained: AutorenewIcon,
+  delayed: WarningAmberIcon,
+  "on track": TrendingUpIcon,
+  "nearly completed": TimelapseIcon,
+  abandoned: BlockIcon,
+  completed: CheckCircleIcon,
+};
+
+function iconFor(status, vocab) {
+  if (!status) return RemoveCircleOutlineIcon;
+  if (ICONS[status]) return ICONS[status];
+  if (!vocab.has(status)) return HelpOutlineIcon;
+  const weight = vocab.weight(status);
+  if (weight === null) return BlockIcon;
+  if (weight >= 1) return CheckCircleIcon;
+  return weight > 0 ? TimelapseIcon : RadioButtonUncheckedIcon;
+}
+
+// Decorative – the status name is always rendered next to it
+export default function StatusIcon({ status, vocab = DEFAULT_VOCAB, ...props }) {
+  const Icon = iconFor(status, vocab);
+  return <Icon fontSize="inherit" aria-hidden="true" {...props} />;
+}
@@ -0,0 +1,55 @@
+import { Box, Chip, Typography } from "@mui/material";
+import StatusIcon from "./StatusIcon";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Status legend – what the cell colours mean, and a status filter
+ * ------------------------------------------------------------------
+ * Clicking a status toggles it in the status filter (the same selection
+ * as the Status field of the filter panel); several can be selected.
+ * Each chip is a toggle button with the status icon next to the swatch.
+ */
+export default function StatusLegend({ heading, vocab, selected, onToggle, onClear, t = DEFAULT_T }) {
+  return (
+    <Box
+      role="group"
+      aria-label={t("legend.group")}
+      sx={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: 1, mb: 2 }}
+    >
+      <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+        {heading}
+      </Typography>
+      {vocab.list.map((s) => {
+        const active = selected.includes(s.key);
+        return (
+          <Chip
+            key={s.key}
+            size="small"
+            label={
+              <Box component="span" sx={{ display: "inline-flex", alignItems: "center", gap: 0.5 }}>
+                <StatusIcon status={s.key} vocab={vocab} />
+                {vocab.label(s.key)}
+              </Box>
+            }
+            aria-pressed={active}
+            variant={active ? "filled" : "outlined"}
+            color={active ? "primary" : "default"}
+            onClick={() => onToggle(s.key)}
+            avatar={<Box component="span" aria-hidden="true" sx={{ bgcolor: s.colour, borderRadius: "50%", border: "1px solid #bdbdbd" }} />}
+          />
+        );
+      })}
+      {selected.length > 0 && (
+        <Chip
+          size="small"
+          label={t("legend.showAll")}
+          aria-label={t("legend.showAllLabel")}
+          onClick={onClear}
+          onDelete={onClear}
+          variant="outlined"
+        />
+      )}
+    </Box>
+  );
+}
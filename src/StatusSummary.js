@@ -0,0 +1,40 @@
+import { Box, Tooltip, Typography } from "@mui/material";
+import { countStatuses } from "./helpers";
+import { percentComplete } from "./statuses";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * Compact status breakdown of one group for its header row – a
+ * stacked bar plus "12 measures · 5 completed · 2 delayed" – based on
+ * the `year` column.
+ */
+export default function StatusSummary({ items, year, vocab, t = DEFAULT_T }) {
+  if (!year) return null;
+  const counts = countStatuses(items, year);
+  const parts = [...vocab.list.map((s) => s.key), ""]
+    .filter((key) => counts[key])
+    .map((key) => ({ key, n: counts[key], colour: vocab.colour(key) || "#fafafa" }));
+  const unknown = items.length - parts.reduce((sum, p) => sum + p.n, 0); // statuses outside the vocabulary
+  const pct = percentComplete(items, year, vocab);
+  const text = [
+    t.plural("measures", items.length),
+    ...parts.filter((p) => p.key).map((p) => `${p.n} ${vocab.label(p.key).toLowerCase()}`),
+    ...(pct === null ? [] : [t("progress.complete", { pct })]),
+  ].join(" · ");
+
+  return (
+    <Box sx={{ display: "flex", alignItems: "center", gap: 1.5, flexWrap: "wrap" }}>
+      <Tooltip title={t("statusSummary.tooltip", { year })}>
+        <Box role="img" sx={{ display: "flex", width: 160, height: 10, borderRadius: 1, overflow: "hidden", bgcolor: "#f5f5f5" }}>
+          {parts.map((p) => (
+            <Box key={p.key || "none"} sx={{ flex: p.n, bgcolor: p.colour }} />
+          ))}
+          {unknown > 0 && <Box sx={{ flex: unknown }} />}
+        </Box>
+      </Tooltip>
+      <Typography variant="body2" color="text.secondary">
+        {text}
+      </Typography>
+    </Box>
+  );
+}
@@ -0,0 +1,137 @@
+import { render, screen, fireEvent, waitFor, within } from "@testing-library/react";
+import { axe, toHaveNoViolations } from "jest-axe";
+import StatusLegend from "./StatusLegend";
+import StatusChip from "./StatusChip";
+import StatusSummary from "./StatusSummary";
+import { statusVocabulary, parseStatusConfig } from "./statuses";
+import App from "./App";
+import { mockResizeObserver, mockWorkbookFetch } from "./fixtures/browserMocks";
+
+expect.extend(toHaveNoViolations);
+
+jest.mock("react-chartjs-2", () => ({ Bar: () => null, Line: () => null, Doughnut: () => null }));
+
+// Config-supplied colours, dark and light
+const vocab = statusVocabulary(
+  parseStatusConfig([
+    { cells: ["", "", "", "", "", "Planned", "#fafafa", "0"] },
+    { cells: ["", "", "", "", "", "Running", "#1a237e", "50%"] },
+    { cells: ["", "", "", "", "", "Done", "#000", "1"] },
+  ])
+);
+
+describe("status components", () => {
+  test("legend, chips and summary have no axe violations", async () => {
+    const { container } = render(
+      <>
+        <StatusLegend heading="Latest status:" vocab={vocab} selected={["running"]} onToggle={() => {}} onClear={() => {}} />
+        {["planned", "running", "done", ""].map((s) => (
+          <StatusChip key={s} status={s} vocab={vocab} />
+        ))}
+        <StatusSummary items={[{ "24/25": "Done" }, { "24/25": "Running" }]} year="24/25" vocab={vocab} />
+      </>
+    );
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test("text colour follows the Config fill", () => {
+    render(
+      <>
+        <StatusChip status="done" vocab={vocab} data-testid="dark" />
+        <StatusChip status="planned" vocab={vocab} data-testid="light" />
+      </>
+    );
+    expect(screen.getByTestId("dark")).toHaveStyle({ color: "#fff" });
+    expect(screen.getByTestId("light")).toHaveStyle({ color: "#000" });
+  });
+
+  test("legend chips are toggle buttons reachable by keyboard", () => {
+    const onToggle = jest.fn();
+    render(<StatusLegend heading="Status:" vocab={vocab} selected={["running"]} onToggle={onToggle} onClear={() => {}} />);
+    const running = screen.getByRole("button", { name: "Running" });
+    expect(running).toHaveAttribute("aria-pressed", "true");
+    expect(screen.getByRole("button", { name: "Done" })).toHaveAttribute("aria-pressed", "false");
+    expect(running).toHaveAttribute("tabindex", "0");
+    fireEvent.keyDown(running, { key: "Enter" });
+    expect(onToggle).toHaveBeenCalledWith("running");
+  });
+});
+
+describe("dashboard", () => {
+  beforeEach(() => {
+    mockWorkbookFetch();
+    mockResizeObserver();
+    window.location.hash = "";
+    localStorage.clear();
+  });
+
+  const loaded = () =>
+    waitFor(() => expect(screen.getAllByText(/Build schools/).length).toBeGreaterThan(0), { timeout: 5000 });
+
+  test("group rows are headings whose buttons expand and collapse", async () => {
+    render(<App />);
+    await loaded();
+    const grid = screen.getByRole("grid", { name: "Learning measures" });
+    const header = within(grid).getByRole("button", { name: /1\.1 Schools/ });
+    expect(within(grid).getByRole("heading", { level: 2, name: /1\.1 Schools/ })).toBeInTheDocument();
+    expect(header).toHaveAttribute("aria-expanded", "true");
+    fireEvent.click(header); // Enter / Space on the native button
+    await waitFor(() => expect(screen.queryByText(/Build schools/)).not.toBeInTheDocument());
+    expect(within(grid).getByRole("button", { name: /1\.1 Schools/ })).toHaveAttribute("aria-expanded", "false");
+    expect(screen.getByText("Measure without number")).toBeInTheDocument(); // other groups stay open
+  }, 20000);
+
+  test("status cells carry an icon and readable text", async () => {
+    render(<App />);
+    await loaded();
+    const cell = screen.getByRole("gridcell", { name: "Completed" }); // "Done" as a Config synonym
+    expect(within(cell).getByTestId("CheckCircleIcon")).toHaveAttribute("aria-hidden", "true");
+    expect(within(screen.getByRole("gridcell", { name: "delayed" })).getByTestId("WarningAmberIcon")).toBeInTheDocument();
+  }, 20000);
+
+  test("cell chips are tabbable only in the focused cell and Shift+Enter excludes", async () => {
+    render(<App />);
+    await loaded();
+    const grid = screen.getByRole("grid", { name: "Learning measures" });
+    const [chip] = within(grid).getAllByRole("button", { name: "Filter by portfolio Education" });
+    expect(chip).toHaveAttribute("tabindex", "-1");
+    fireEvent.keyDown(chip, { key: "Enter", shiftKey: true });
+    expect(await screen.findByRole("button", { name: /^Excluding Education/ })).toBeInTheDocument();
+    expect(window.location.hash).toContain("portfolio-not=education");
+  }, 20000);
+
+  test("a portfolio scorecard opens from its link and has no axe violations", async () => {
+    window.location.hash = "#view=scorecards&card=education";
+    const { container } = render(<App />);
+    expect(await screen.findByRole("heading", { level: 2, name: "Education" }, { timeout: 5000 })).toBeInTheDocument();
+    expect(screen.getByRole("article", { name: "Education" })).toHaveTextContent("1.1.2 Train teachers");
+    const results = await axe(container, { rules: { region: { enabled: false } } });
+    expect(results).toHaveNoViolations();
+  }, 30000);
+
+  test("a presentation link opens the slides, which step by keyboard", async () => {
+    window.location.hash = "#present=1&portfolio=education";
+    render(<App />);
+    const deck = await screen.findByRole("dialog", { name: "Presentation" }, { timeout: 5000 });
+    expect(within(deck).getByRole("heading", { level: 2, name: "Overview" })).toBeInTheDocument();
+    expect(within(deck).getByText("1 / 3")).toBeInTheDocument(); // overview, Learning, 1.1 Schools
+    fireEvent.keyDown(deck, { key: "PageDown" }); // what a clicker sends
+    fireEvent.keyDown(deck, { key: "ArrowRight" });
+    expect(within(deck).getByRole("heading", { level: 2, name: "1.1 Schools" })).toBeInTheDocument();
+    expect(within(deck).getByText("1.1.1 Build schools")).toBeInTheDocument();
+    fireEvent.keyDown(deck, { key: "End" });
+    expect(within(deck).getByText("3 / 3")).toBeInTheDocument();
+    const results = await axe(deck);
+    expect(results).toHaveNoViolations();
+    fireEvent.click(within(deck).getByRole("button", { name: "End presentation" }));
+    await waitFor(() => expect(window.location.hash).not.toContain("present="));
+  }, 30000);
+
+  test("the loaded dashboard has no axe violations", async () => {
+    const { container } = render(<App />);
+    await loaded();
+    // rendered without the page landmarks of index.html
+    const results = await axe(container, { rules: { region: { enabled: false } } });
+    expect(results).toHaveNoViolations();
+  }, 30000);
+});
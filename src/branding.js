@@ -0,0 +1,74 @@
+import { trim, norm, hex } from "./helpers.js";
+
+/**
+ * ------------------------------------------------------------------
+ * Branding – title, logo and theme colours
+ * ------------------------------------------------------------------
+ * The EYP Austria colourway, overridden by the Config sheet and then by
+ * the URL (see ./urlState) – partners embedding the dashboard restyle it
+ * without touching the workbook:
+ *   { title, logo, primary, secondary, background }
+ * An empty title stands for the app title of the UI dictionary.
+ */
+
+export const DEFAULT_BRANDING = {
+  title: "",
+  logo: "",
+  primary: "#003399", // EYP blue
+  secondary: "#FFE600", // EYP yellow
+  background: "#f5f5f5",
+};
+
+// Config setting (column N, any casing) ➜ branding field
+export const BRANDING_SETTINGS = {
+  title: "title",
+  logo: "logo",
+  "primary colour": "primary",
+  "primary color": "primary",
+  "secondary colour": "secondary",
+  "secondary color": "secondary",
+  background: "background",
+  "background colour": "background",
+  "background color": "background",
+};
+
+export const COLOUR_FIELDS = ["primary", "secondary", "background"];
+const HEX_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Web addresses and relative paths only – no "javascript:" / "data:" from a shared link
+const isImageUrl = (url) => /^https?:\/\//i.test(url) || !/^[a-z][\w+.-]*:/i.test(url);
+
+/** One value ➜ what the field takes, null when blank or invalid. */
+export function brandingValue(field, value) {
+  const v = trim(String(value ?? ""));
+  if (!v) return null;
+  if (COLOUR_FIELDS.includes(field)) return HEX_RE.test(hex(v)) ? hex(v) : null;
+  if (field === "logo") return isImageUrl(v) ? v : null;
+  return v;
+}
+
+// { field ➜ raw value } ➜ the valid ones only
+const validOnly = (entries) =>
+  Object.fromEntries(
+    entries.map(([field, value]) => [field, brandingValue(field, value)]).filter(([, value]) => value !== null)
+  );
+
+/**
+ * Config columns, one setting per row (the same rows as the tag list):
+ *  N | Setting – Title, Logo, Primary colour, Secondary colour, Background
+ *  O | Value – text, image address or hex colour
+ */
+export function parseBrandingConfig(cfgRows) {
+  return validOnly(
+    cfgRows
+      .map(({ cells }) => [BRANDING_SETTINGS[norm(String(cells[13] ?? ""))], cells[14]])
+      .filter(([field]) => field)
+  );
+}
+
+/** URL values (`brand` of ./urlState) ➜ the valid ones. */
+export const brandingFromUrl = (brand = {}) =>
+  validOnly(Object.keys(DEFAULT_BRANDING).map((field) => [field, brand[field]]));
+
+/** Later layers win: defaults ➜ Config ➜ URL. */
+export const resolveBranding = (...layers) => Object.assign({}, DEFAULT_BRANDING, ...layers);
@@ -0,0 +1,30 @@
+import { DEFAULT_BRANDING, brandingFromUrl, brandingValue, parseBrandingConfig, resolveBranding } from "./branding";
+
+const cfg = (rows) => rows.map(([setting, value]) => ({ cells: [...Array(13).fill(""), setting, value] }));
+
+test("reads Config settings in any casing and drops invalid values", () => {
+  expect(
+    parseBrandingConfig(
+      cfg([
+        ["TITLE", " Partner dashboard "],
+        ["Primary color", "0b6e4f"],
+        ["Background", "#nope"],
+        ["Logo", "/logos/partner.svg"],
+        ["", "stray value"],
+      ])
+    )
+  ).toEqual({ title: "Partner dashboard", primary: "#0b6e4f", logo: "/logos/partner.svg" });
+});
+
+test("accepts web and relative logo addresses only", () => {
+  expect(brandingValue("logo", "https://example.org/logo.png")).toBe("https://example.org/logo.png");
+  expect(brandingValue("logo", "logo.png")).toBe("logo.png");
+  expect(brandingValue("logo", "file:///C:/logo.png")).toBeNull();
+  expect(brandingValue("logo", "data:image/svg+xml,<svg/>")).toBeNull();
+});
+
+test("the URL overrides Config, which overrides the defaults", () => {
+  const config = { title: "From Config", primary: "#111111" };
+  const url = brandingFromUrl({ title: "", primary: "222", secondary: "not a colour" });
+  expect(resolveBranding(config, url)).toEqual({ ...DEFAULT_BRANDING, title: "From Config", primary: "#222" });
+});
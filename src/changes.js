@@ -0,0 +1,81 @@
+import { norm, categoryKey, yearFields, measureKey } from "./helpers";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Change log – status moves between two years or two workbook versions
+ * ------------------------------------------------------------------
+ * Entries: { type: "changed" | "added" | "removed", pillar, category,
+ *            row, year?, from?, to? }
+ */
+
+const entry = (type, pillar, row, extra = {}, t = DEFAULT_T) => ({
+  type,
+  pillar,
+  category: row.Category || t("group.categoryNumber", { n: categoryKey(row) }),
+  row,
+  ...extra,
+});
+
+const statusOf = (r, year) => norm(String(r?.[year] ?? ""));
+
+/** Measures whose status differs between two yearly columns. */
+export function diffYears(rowsByTab, tabs, fromYear, toYear, t = DEFAULT_T) {
+  const out = [];
+  tabs.forEach((pillar) =>
+    rowsByTab[pillar].forEach((r) => {
+      const from = statusOf(r, fromYear);
+      const to = statusOf(r, toYear);
+      if (from !== to) out.push(entry("changed", pillar, r, { year: toYear, from, to }, t));
+    })
+  );
+  return out;
+}
+
+// measureKey ➜ row; repeated keys (unnumbered measures with the same
+// text) are paired up in sheet order as "key#2", "key#3" …
+function byKey(rows) {
+  const out = new Map();
+  rows.forEach((r) => {
+    const key = measureKey(r);
+    let unique = key;
+    for (let n = 2; out.has(unique); n++) unique = `${key}#${n}`;
+    out.set(unique, r);
+  });
+  return out;
+}
+
+/**
+ * Current workbook against an older snapshot: every yearly column whose
+ * status moved, plus measures that were added or removed in between.
+ * Both sides are compared whole; `keep` (a row of either side) picks the
+ * measures to report, so a status filter does not turn a move into or
+ * out of the filtered status into an addition or removal.
+ */
+export function diffSnapshots(before, after, { keep = () => true, t = DEFAULT_T } = {}) {
+  const out = [];
+  const pillars = [...new Set([...after.tabs, ...before.tabs])];
+  pillars.forEach((pillar) => {
+    const oldByKey = byKey(before.rowsByTab[pillar] ?? []);
+    const newByKey = byKey(after.rowsByTab[pillar] ?? []);
+
+    newByKey.forEach((r, key) => {
+      const old = oldByKey.get(key);
+      if (!keep(r) && !(old && keep(old))) return;
+      if (!old) {
+        out.push(entry("added", pillar, r, {}, t));
+        return;
+      }
+      yearFields([old, r]).forEach((year) => {
+        const from = statusOf(old, year);
+        const to = statusOf(r, year);
+        if (from !== to) out.push(entry("changed", pillar, r, { year, from, to }, t));
+      });
+    });
+
+    oldByKey.forEach((r, key) => {
+      if (!newByKey.has(key) && keep(r)) out.push(entry("removed", pillar, r, {}, t));
+    });
+  });
+  return out;
+}
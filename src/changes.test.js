@@ -0,0 +1,47 @@
+import { diffYears, diffSnapshots } from "./changes";
+import { measureKey } from "./helpers";
+
+const row = (id, measure, s1, s2) => ({ id, Category: "1.1 Schools", Measures: measure, "23/24": s1, "24/25": s2 });
+
+test("matches measures by number, falling back to text", () => {
+  expect(measureKey({ Measures: "1.2.3 Build schools" })).toBe("1.2.3");
+  expect(measureKey({ Measures: " Build Schools " })).toBe("build schools");
+});
+
+test("lists status moves between two yearly columns", () => {
+  const rowsByTab = { Education: [row(0, "1.1.1 A", "started", "Started"), row(1, "1.1.2 B", "started", "delayed")] };
+  expect(diffYears(rowsByTab, ["Education"], "23/24", "24/25")).toEqual([
+    { type: "changed", pillar: "Education", category: "1.1 Schools", row: rowsByTab.Education[1], year: "24/25", from: "started", to: "delayed" },
+  ]);
+});
+
+test("finds moved, added and removed measures between snapshots", () => {
+  const before = { tabs: ["Education"], rowsByTab: { Education: [row(0, "1.1.1 A", "started", ""), row(1, "1.1.2 B", "started", "")] } };
+  const after = { tabs: ["Education"], rowsByTab: { Education: [row(0, "1.1.1 A renamed", "started", "completed"), row(1, "1.1.3 C", "", "")] } };
+  expect(diffSnapshots(before, after).map((e) => [e.type, e.row.Measures, e.year])).toEqual([
+    ["changed", "1.1.1 A renamed", "24/25"],
+    ["added", "1.1.3 C", undefined],
+    ["removed", "1.1.2 B", undefined],
+  ]);
+});
+
+test("reports a move out of the filtered status as a change, not a removal", () => {
+  const before = { tabs: ["Education"], rowsByTab: { Education: [row(0, "1.1.1 A", "started", "delayed"), row(1, "1.1.2 B", "started", "")] } };
+  const after = { tabs: ["Education"], rowsByTab: { Education: [row(0, "1.1.1 A", "started", "completed"), row(1, "1.1.2 B", "started", "")] } };
+  const keep = (r) => r["24/25"] === "delayed"; // a "delayed" status filter
+  expect(diffSnapshots(before, after, { keep }).map((e) => [e.type, e.row.Measures, e.from, e.to])).toEqual([
+    ["changed", "1.1.1 A", "delayed", "completed"],
+  ]);
+});
+
+test("pairs unnumbered measures with the same text in sheet order", () => {
+  const before = { tabs: ["Education"], rowsByTab: { Education: [row(0, "Review", "started", "started"), row(1, "Review", "", "")] } };
+  const after = {
+    tabs: ["Education"],
+    rowsByTab: { Education: [row(0, "Review", "started", "started"), row(1, "Review", "", "delayed"), row(2, "Review", "", "")] },
+  };
+  expect(diffSnapshots(before, after).map((e) => [e.type, e.row.id, e.year])).toEqual([
+    ["changed", 1, "24/25"],
+    ["added", 2, undefined],
+  ]);
+});
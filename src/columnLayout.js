@@ -0,0 +1,85 @@
+/**
+ * ------------------------------------------------------------------
+ * Column layout – one model per sheet, fed into the tab's grid
+ * ------------------------------------------------------------------
+ * Each tab renders a single grid with its category group rows (see
+ * ./GroupedGrid), reused across tabs. The community DataGrid cannot
+ * reorder or pin columns and knows nothing of sheets, so the dashboard
+ * owns the layout of each one and feeds it into the grid:
+ *   { order: [field], widths: { field ➜ px }, visibility: { field ➜ false }, pinned: [field] }
+ * Pinned columns come first and stay in view while scrolling sideways.
+ * Layouts are kept in localStorage, keyed by sheet name ("*" = All tab).
+ */
+const STORAGE_KEY = "natstrat.layouts";
+
+export const EMPTY_LAYOUT = { order: [], widths: {}, visibility: {}, pinned: [] };
+
+export function loadLayouts() {
+  try {
+    const layouts = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return layouts && typeof layouts === "object" && !Array.isArray(layouts) ? layouts : {};
+  } catch {
+    return {}; // unreadable – defaults
+  }
+}
+
+export function storeLayouts(layouts) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(layouts));
+  } catch {
+    // storage full or blocked – the layout lasts for this visit only
+  }
+}
+
+/**
+ * `fields` (default order) in layout order: pinned ones first, then the
+ * saved order; fields the layout has not seen yet keep their place
+ * behind the field they follow by default.
+ */
+export function orderFields(fields, { order = [], pinned = [] } = EMPTY_LAYOUT) {
+  const known = order.filter((f) => fields.includes(f));
+  fields.forEach((f, i) => {
+    if (known.includes(f)) return;
+    const prev = fields.slice(0, i).reverse().find((p) => known.includes(p));
+    known.splice(prev ? known.indexOf(prev) + 1 : 0, 0, f);
+  });
+  const pins = pinned.filter((f) => fields.includes(f));
+  return [...pins, ...known.filter((f) => !pins.includes(f))];
+}
+
+/** Moves `field` one step left (-1) or right (+1) among the unpinned columns. */
+export function moveField(layout, fields, field, delta) {
+  const current = orderFields(fields, layout);
+  const pins = layout.pinned.filter((f) => fields.includes(f)).length;
+  const from = current.indexOf(field);
+  const to = from + delta;
+  if (from < pins || to < pins || to >= current.length) return layout; // pinned ones keep their pin order
+  const order = [...current];
+  [order[from], order[to]] = [order[to], order[from]];
+  return { ...layout, order };
+}
+
+export const togglePin = (layout, field) => ({
+  ...layout,
+  pinned: layout.pinned.includes(field) ? layout.pinned.filter((f) => f !== field) : [...layout.pinned, field],
+});
+
+/**
+ * `sx` entries sticking the pinned columns (class `pinned-<n>`, see App) to
+ * the left edge, each one behind the widths of the shown pins before it.
+ */
+export function pinnedColumnSx(columns, pinned, visibility = {}) {
+  let left = 0;
+  return Object.fromEntries(
+    columns
+      .filter((c) => pinned.includes(c.field) && visibility[c.field] !== false)
+      .map((c) => {
+        const entry = [
+          `& .pinned-${pinned.indexOf(c.field)}`,
+          { position: "sticky", left, zIndex: 3, bgcolor: "background.paper", borderRight: "1px solid #e0e0e0" },
+        ];
+        left += c.width;
+        return entry;
+      })
+  );
+}
@@ -0,0 +1,49 @@
+import { EMPTY_LAYOUT, loadLayouts, moveField, orderFields, pinnedColumnSx, storeLayouts, togglePin } from "./columnLayout";
+
+const fields = ["Subcategory", "Measures", "Portfolio", "Tags", "24/25"];
+
+test("keeps the default order until the layout says otherwise", () => {
+  expect(orderFields(fields, EMPTY_LAYOUT)).toEqual(fields);
+});
+
+test("pinned columns come first, new fields stay next to their neighbour", () => {
+  const layout = { ...EMPTY_LAYOUT, order: ["Measures", "Subcategory", "Tags", "Portfolio"], pinned: ["Tags"] };
+  expect(orderFields(fields, layout)).toEqual(["Tags", "Measures", "Subcategory", "24/25", "Portfolio"]); // 24/25 follows Tags
+  expect(orderFields(["25/26", ...fields], layout)[1]).toBe("25/26");
+});
+
+test("moves columns among the unpinned ones only", () => {
+  const pinned = togglePin(EMPTY_LAYOUT, "Measures");
+  expect(orderFields(fields, pinned)[0]).toBe("Measures");
+  const moved = moveField(pinned, fields, "Portfolio", -1);
+  expect(orderFields(fields, moved)).toEqual(["Measures", "Portfolio", "Subcategory", "Tags", "24/25"]);
+  expect(moveField(moved, fields, "Portfolio", -1)).toBe(moved); // would pass the pinned column
+  expect(togglePin(pinned, "Measures").pinned).toEqual([]);
+});
+
+test("persists layouts per sheet", () => {
+  localStorage.clear();
+  expect(loadLayouts()).toEqual({});
+  storeLayouts({ Education: { ...EMPTY_LAYOUT, widths: { Measures: 500 } } });
+  expect(loadLayouts().Education.widths).toEqual({ Measures: 500 });
+});
+
+test("sticks pinned columns behind the shown pins only", () => {
+  const columns = [
+    { field: "Subcategory", width: 120 },
+    { field: "Measures", width: 300 },
+    { field: "Portfolio", width: 150 },
+  ];
+  const pinned = ["Subcategory", "Measures", "Portfolio"];
+  const lefts = (sx) => Object.fromEntries(Object.entries(sx).map(([cls, s]) => [cls, s.left]));
+  expect(lefts(pinnedColumnSx(columns, pinned))).toEqual({ "& .pinned-0": 0, "& .pinned-1": 120, "& .pinned-2": 420 });
+  expect(lefts(pinnedColumnSx(columns, pinned, { Measures: false }))).toEqual({ "& .pinned-0": 0, "& .pinned-2": 120 });
+});
+
+test("keeps working when the layouts cannot be stored", () => {
+  const setItem = jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+    throw new DOMException("full", "QuotaExceededError");
+  });
+  expect(() => storeLayouts({ Education: EMPTY_LAYOUT })).not.toThrow();
+  setItem.mockRestore();
+});
@@ -0,0 +1,78 @@
+import * as XLSX from "xlsx";
+import Papa from "papaparse";
+import { trim } from "./helpers";
+import { DEFAULT_T, MessageError } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Data source – which workbook the dashboard shows
+ * ------------------------------------------------------------------
+ * Source: { kind: "sheet", id } – a Google spreadsheet (xlsx export)
+ *         { kind: "file", name } – a local upload, kept in the snapshot
+ *                                   cache under "local"
+ * Priority on load: ?sheet=<id or URL> ➜ saved choice ➜ the default sheet.
+ */
+export const DEFAULT_SPREADSHEET_ID = "1eSsGajvwtzHQFCpYaE_Rhqla7-9KVTktwE5QSHfh4-A";
+const STORAGE_KEY = "natstrat.source";
+
+export const spreadsheetUrl = (id) => `https://docs.google.com/spreadsheets/d/${id}/export?format=xlsx`;
+
+// Accepts a bare ID or any Google Sheets URL containing /d/<id>/
+export function parseSpreadsheetId(input) {
+  const m = String(input ?? "").match(/\/d\/([\w-]+)/);
+  return m ? m[1] : trim(String(input ?? ""));
+}
+
+export const DEFAULT_SOURCE = { kind: "sheet", id: DEFAULT_SPREADSHEET_ID };
+export const isDefaultSource = (src) => src.kind === "sheet" && src.id === DEFAULT_SPREADSHEET_ID;
+
+export function initialSource() {
+  const fromUrl = new URLSearchParams(window.location.search).get("sheet");
+  if (fromUrl) return { kind: "sheet", id: parseSpreadsheetId(fromUrl) };
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.kind === "file" || (saved?.kind === "sheet" && saved.id)) return saved;
+  } catch {
+    // unreadable preference – fall through to the default
+  }
+  return DEFAULT_SOURCE;
+}
+
+export function rememberSource(src) {
+  try {
+    if (isDefaultSource(src)) localStorage.removeItem(STORAGE_KEY);
+    else localStorage.setItem(STORAGE_KEY, JSON.stringify(src));
+  } catch {
+    // storage full or blocked – the choice lasts for this visit only
+  }
+}
+
+// Snapshot cache key – one offline copy per source
+export const cacheKey = (src) =>
+  src.kind === "file" ? "local" : isDefaultSource(src) ? "latest" : `latest:${src.id}`;
+
+// "" for the published strategy
+export const sourceLabel = (src, t = DEFAULT_T) =>
+  src.kind === "file" ? t("source.file", { name: src.name }) : isDefaultSource(src) ? "" : t("source.sheet", { id: src.id });
+
+const baseName = (name) => name.replace(/\.[^.]+$/, "");
+
+/**
+ * Uploaded files ➜ workbook. Either one .xlsx/.xls/.ods file, or a bundle
+ * of CSVs – one per sheet, named after the file (Config.csv, Education.csv …).
+ */
+export async function readUploadedFiles(files) {
+  const list = [...files];
+  const book = list.find((f) => /\.(xlsx|xls|ods)$/i.test(f.name));
+  if (book) return XLSX.read(await book.arrayBuffer(), { type: "array" });
+
+  const csvs = list.filter((f) => /\.csv$/i.test(f.name));
+  if (!csvs.length) throw new MessageError("source.chooseFiles");
+
+  const wb = XLSX.utils.book_new();
+  for (const f of csvs) {
+    const { data } = Papa.parse(await f.text(), { skipEmptyLines: false });
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(data), baseName(f.name).slice(0, 31));
+  }
+  return wb;
+}
@@ -0,0 +1,28 @@
+import { DEFAULT_SOURCE, initialSource, readUploadedFiles, rememberSource, sourceLabel } from "./dataSource";
+import { messageText, translator } from "./i18n";
+
+test("labels the source in the UI language, the published strategy with nothing", () => {
+  const de = translator("de");
+  expect(sourceLabel({ kind: "file", name: "strategie.xlsx" }, de)).toBe("hochgeladene Datei „strategie.xlsx“");
+  expect(sourceLabel({ kind: "sheet", id: "abc123" }, de)).toBe("Tabelle abc123");
+  expect(sourceLabel({ kind: "sheet", id: "abc123" })).toBe("spreadsheet abc123");
+  expect(sourceLabel(DEFAULT_SOURCE, de)).toBe("");
+});
+
+test("rejects uploads without a workbook or CSV with a translatable error", async () => {
+  const err = await readUploadedFiles([{ name: "notes.txt" }]).catch((e) => e);
+  expect(err.message).toMatch(/^Please choose an \.xlsx workbook/); // English for the console
+  expect(messageText(translator("de"), err)).toMatch(/^Bitte eine \.xlsx-Arbeitsmappe/);
+});
+
+test("remembers the chosen source unless storage refuses it", () => {
+  localStorage.clear();
+  rememberSource({ kind: "sheet", id: "abc123" });
+  expect(initialSource()).toEqual({ kind: "sheet", id: "abc123" });
+
+  const setItem = jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+    throw new DOMException("full", "QuotaExceededError");
+  });
+  expect(() => rememberSource({ kind: "file", name: "strategie.xlsx" })).not.toThrow();
+  setItem.mockRestore();
+});
@@ -0,0 +1,35 @@
+import { useEffect } from "react";
+
+/**
+ * ------------------------------------------------------------------
+ * Embedding – the dashboard inside a partner's iframe
+ * ------------------------------------------------------------------
+ * `#embed=1` drops the toolbar and the data banner, `chrome=0` also the
+ * heading, tabs and filters, leaving the view alone; tab, filters,
+ * `column`s and branding come from the same link. The frame reports its
+ * height to the host page on every change:
+ *   { type: "natstrat:resize", height }
+ * (see "Embedding" in the README for the host side).
+ */
+export const RESIZE_MESSAGE = "natstrat:resize";
+
+// URL state ➜ the embedding part of it
+export const embedOptions = ({ embed = "", chrome = "", columns = [], brand = {} }) => ({ embed, chrome, columns, brand });
+
+export function useAutoSize(enabled) {
+  useEffect(() => {
+    if (!enabled || window.parent === window) return;
+    let last = 0;
+    const post = () => {
+      const height = Math.ceil(document.body.getBoundingClientRect().height);
+      if (height === last) return;
+      last = height;
+      // only a height – any host may read it
+      window.parent.postMessage({ type: RESIZE_MESSAGE, height }, "*");
+    };
+    const observer = new ResizeObserver(post);
+    observer.observe(document.body);
+    post();
+    return () => observer.disconnect();
+  }, [enabled]);
+}
@@ -0,0 +1,67 @@
+import { DEFAULT_T } from "./i18n";
+import { DEFAULT_LABELS } from "./labels";
+
+/**
+ * ------------------------------------------------------------------
+ * Filters in plain language – shown above the grids and in the PDF
+ * ------------------------------------------------------------------
+ * "Measures in Education and Health, tagged climate but not blue,
+ *  delayed in 24/25, matching “solar”"
+ * The phrases come from the UI dictionary (./i18n), `t` picks the language.
+ */
+
+// ["a", "b", "c"] ➜ "a, b or c"
+export function joinWords(words, conjunction = "or") {
+  if (words.length < 2) return words.join("");
+  return `${words.slice(0, -1).join(", ")} ${conjunction} ${words[words.length - 1]}`;
+}
+
+const NOT = { in: "summary.notIn", tagged: "summary.notTagged" };
+
+/**
+ * One chip family: `include` joined by "or" / "and" according to `mode`,
+ * `exclude` always by "or". `verb` says how the values relate ("in", "tagged").
+ */
+export function describeFamily(verb, include = [], exclude = [], { mode = "any", t = DEFAULT_T, labels = DEFAULT_LABELS } = {}) {
+  const inc = include.map(labels.label);
+  const exc = exclude.map(labels.label);
+  const parts = [];
+  if (inc.length) parts.push(t(`summary.${verb}`, { values: joinWords(inc, t(mode === "all" ? "words.and" : "words.or")) }));
+  if (exc.length) {
+    const not = t(NOT[verb], { values: joinWords(exc, t("words.or")) });
+    parts.push(parts.length ? t("summary.but", { part: not }) : not);
+  }
+  return parts.join(" ");
+}
+
+/** Full expression, "" when nothing narrows the measures. */
+export function describeFilters(filters, vocab, t = DEFAULT_T, labels = DEFAULT_LABELS) {
+  const {
+    portfolios = [],
+    notPortfolios = [],
+    portfolioMode,
+    tags = [],
+    notTags = [],
+    tagMode,
+    statuses = [],
+    year = "",
+    changed = [],
+    query = "",
+  } = filters;
+  const parts = [
+    describeFamily("in", portfolios, notPortfolios, { mode: portfolioMode, t, labels }),
+    describeFamily("tagged", tags, notTags, { mode: tagMode, t, labels }),
+  ];
+  if (statuses.length) {
+    const names = joinWords(
+      statuses.map((s) => (s ? vocab.label(s).toLowerCase() : t("summary.withoutStatus"))),
+      t("words.or")
+    );
+    parts.push(year ? t("summary.statusIn", { statuses: names, year }) : t("summary.statusLatest", { statuses: names }));
+  }
+  if (changed.length === 2) parts.push(t("summary.changed", { from: changed[0], to: changed[1] }));
+  if (query.trim()) parts.push(t("summary.query", { query: query.trim() }));
+
+  const active = parts.filter(Boolean);
+  return active.length ? t("summary.measures", { parts: joinWords(active, t("words.and")) }) : "";
+}
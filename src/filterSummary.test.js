@@ -0,0 +1,30 @@
+import { describeFamily, describeFilters, joinWords } from "./filterSummary";
+import { DEFAULT_VOCAB } from "./statuses";
+
+test("joins words with commas and a conjunction", () => {
+  expect(joinWords(["a"])).toBe("a");
+  expect(joinWords(["a", "b", "c"], "and")).toBe("a, b and c");
+});
+
+test("describes included and excluded chips of one family", () => {
+  expect(describeFamily("in", ["education", "health"], [], { mode: "all" })).toBe("in Education and Health");
+  expect(describeFamily("tagged", ["climate"], ["blue", "red"])).toBe("tagged Climate but not tagged Blue or Red");
+  expect(describeFamily("tagged", [], ["blue"])).toBe("not tagged Blue");
+  expect(describeFamily("in", [], [])).toBe("");
+});
+
+test("puts every active filter into one sentence", () => {
+  const filters = {
+    portfolios: ["education", "health"],
+    portfolioMode: "all",
+    tags: ["climate"],
+    notTags: ["blue"],
+    statuses: ["delayed", ""],
+    year: "24/25",
+    query: " solar ",
+  };
+  expect(describeFilters(filters, DEFAULT_VOCAB)).toBe(
+    "Measures in Education and Health, tagged Climate but not tagged Blue, delayed or without status in 24/25 and matching “solar”"
+  );
+  expect(describeFilters({}, DEFAULT_VOCAB)).toBe("");
+});
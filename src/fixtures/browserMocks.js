@@ -0,0 +1,17 @@
+import { strategyWorkbookBytes } from "./strategyWorkbook";
+
+/**
+ * Browser stand-ins for the dashboard tests – the spreadsheet download
+ * and the ResizeObserver jsdom does not have.
+ */
+export function mockWorkbookFetch(bytes = strategyWorkbookBytes()) {
+  global.fetch = () => Promise.resolve({ ok: true, arrayBuffer: () => Promise.resolve(bytes) });
+}
+
+export function mockResizeObserver() {
+  global.ResizeObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+}
@@ -0,0 +1,43 @@
+import * as XLSX from "xlsx";
+
+/**
+ * Fixture workbook for the parser and dashboard tests – Introduction and
+ * Config sheets plus two pillars, one of them bilingual.
+ */
+export function strategyWorkbook() {
+  const wb = XLSX.utils.book_new();
+  const sheet = (rows, name) => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name);
+
+  sheet([["About this strategy"]], "Introduction");
+  sheet(
+    [
+      ["Tags | colour | Portfolios | colour | | Statuses | colour | weight | synonyms | | Text | Label | | Setting | Value"],
+      ["climate", "00ff00", "Education", "#1a237e", "", "Not started", "#e6e6e6", "0", "", "", "eu", "EU", "", "Title", "Learning & Care Strategy"],
+      ["EU funds", "", "Health", "", "", "Started", "#ffd360", "25%", "in progress", "", "", "", "", "Primary colour", "0b6e4f"],
+      ["", "", "", "", "", "Delayed", "#ff9689", "0.25", "", "", "", ""],
+      ["", "", "", "", "", "Completed", "#11734b", "1", "done", "", "", ""],
+    ],
+    "Config"
+  );
+  sheet(
+    [
+      ["Pillar one – Learning"],
+      ["Category", "Measures", "Portfolio", "Tags", "23/24", "24/25", "Update 24/25"],
+      ["1.1 Schools", "1.1.1 Build schools", "Education", "climate", "in progress", "Done", "Opened in May"],
+      ["1.1 Schools", "1.1.2 Train teachers", "education, Health", "", "", "delayed", ""],
+      ["", "Measure without number", "Health", "eu funds", "", "", ""],
+    ],
+    "Learning"
+  );
+  sheet(
+    [
+      ["Category (EN)", "Category (DE)", "Measures (EN)", "Measures (DE)", "Portfolio", "Tags", "24/25"],
+      ["2.1 Clinics", "2.1 Kliniken", "2.1.1 Open clinics", "2.1.1 Kliniken eröffnen", "Health", "", "started"],
+      ["", "", "", "2.1.2 Nur deutsch", "Health", "", ""],
+    ],
+    "Care"
+  );
+  return wb;
+}
+
+export const strategyWorkbookBytes = () => XLSX.write(strategyWorkbook(), { type: "array", bookType: "xlsx" });
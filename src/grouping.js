@@ -0,0 +1,126 @@
+import { splitList, categoryKey, measureKey, statusIn } from "./helpers";
+import { DEFAULT_LABELS } from "./labels";
+import { DEFAULT_VOCAB } from "./statuses";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Grouping & sorting of the table view
+ * ------------------------------------------------------------------
+ * Rows of the "All" tab carry a `Pillar` field; single-sheet rows get the
+ * active sheet name passed in as `pillar`. A measure owned by several
+ * portfolios (or tagged several times) appears in each of those groups.
+ */
+
+// option ➜ label key of the UI dictionary (./i18n)
+export const GROUPINGS = {
+  category: "group.category",
+  pillar: "group.pillar",
+  portfolio: "group.portfolio",
+  tag: "group.tag",
+  status: "group.status",
+};
+
+export const SORTS = {
+  relevance: "sort.relevance",
+  number: "sort.number",
+  status: "sort.status",
+};
+
+const numberParts = (r) => {
+  const key = measureKey(r);
+  return /^\d/.test(key) ? key.split(".").map(Number) : null;
+};
+
+// "1.10.2" after "1.9.4"; un-numbered measures last
+function compareNumbers(a, b) {
+  const pa = numberParts(a);
+  const pb = numberParts(b);
+  if (!pa || !pb) return !pa - !pb;
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const d = (pa[i] ?? -1) - (pb[i] ?? -1);
+    if (d) return d;
+  }
+  return 0;
+}
+
+// Status in `latestYear`, or in the row's own latest column when it is "" (All tab)
+export const latestStatus = (r, latestYear) => statusIn(r, latestYear);
+
+// `vocab` (statuses.js) supplies the status order
+export function sortRows(rows, sort, latestYear, vocab = DEFAULT_VOCAB) {
+  if (sort === "number") return [...rows].sort(compareNumbers);
+  if (sort === "status")
+    return [...rows].sort(
+      (a, b) => vocab.rank(latestStatus(a, latestYear)) - vocab.rank(latestStatus(b, latestYear)) || compareNumbers(a, b)
+    );
+  return rows;
+}
+
+/**
+ * ➜ [{ key, label, items }] in display order. `tabs` orders the pillar
+ * groups, `latestYear` drives the status grouping, `t` names the
+ * fallback groups and `labels` the portfolio / tag ones.
+ */
+export function groupRows(
+  rows,
+  grouping,
+  { pillar, tabs = [], latestYear, vocab = DEFAULT_VOCAB, t = DEFAULT_T, labels = DEFAULT_LABELS }
+) {
+  const groups = new Map();
+  const add = (key, label, r) => {
+    if (!groups.has(key)) groups.set(key, { key, label, items: [] });
+    groups.get(key).items.push(r);
+  };
+
+  rows.forEach((r) => {
+    const rowPillar = r.Pillar ?? pillar;
+    switch (grouping) {
+      case "pillar":
+        add(rowPillar, rowPillar, r);
+        break;
+      case "portfolio":
+      case "tag": {
+        const values = splitList(grouping === "portfolio" ? r.Portfolio : r.Tags);
+        if (!values.length) add("", t(grouping === "portfolio" ? "group.noPortfolio" : "group.noTag"), r);
+        values.forEach((v) => add(v, labels.label(v), r));
+        break;
+      }
+      case "status": {
+        const s = latestStatus(r, latestYear);
+        add(s, vocab.label(s), r);
+        break;
+      }
+      default: {
+        const cat = categoryKey(r);
+        const label = r.Category || t("group.categoryNumber", { n: cat });
+        // categories restart per pillar on the All tab
+        if (r.Pillar) add(`${r.Pillar}|${cat}`, `${r.Pillar} · ${label}`, r);
+        else add(cat, label, r);
+      }
+    }
+  });
+
+  const list = [...groups.values()];
+  const emptyLast = (a, b) => (a.key === "") - (b.key === "");
+  if (grouping === "pillar") return list.sort((a, b) => tabs.indexOf(a.key) - tabs.indexOf(b.key));
+  if (grouping === "status") return list.sort((a, b) => emptyLast(a, b) || vocab.rank(a.key) - vocab.rank(b.key));
+  if (grouping === "portfolio" || grouping === "tag")
+    return list.sort((a, b) => emptyLast(a, b) || a.label.localeCompare(b.label));
+  return list; // categories keep sheet order
+}
+
+/**
+ * Groups ➜ rows of the single table grid: a header row per group
+ *   { id: "group:<n>", group: { key, label, items } }
+ * followed by its measures unless the group is `collapsed`. Measures get
+ * an id unique within the grid (a measure can sit in several groups) and
+ * keep their own as `rowId`.
+ */
+export const groupedGridRows = (groups, collapsed = []) =>
+  groups.flatMap((group, n) => [
+    { id: `group:${n}`, group },
+    ...(collapsed.includes(group.key) ? [] : group.items.map((r) => ({ ...r, id: `${n}:${r.id}`, rowId: r.id }))),
+  ]);
+
+export const isGroupRow = (row) => Boolean(row.group);
@@ -0,0 +1,61 @@
+import { groupRows, groupedGridRows, isGroupRow, sortRows } from "./grouping";
+
+const rows = [
+  { id: "A:0", Pillar: "A", Category: "1.1 One", Measures: "1.1.10 Ten", Portfolio: "education, health", "24/25": "delayed" },
+  { id: "A:1", Pillar: "A", Category: "1.1 One", Measures: "1.1.9 Nine", Portfolio: "", "24/25": "started" },
+  { id: "B:0", Pillar: "B", Category: "1.1 Other", Measures: "1.1.1 First", Portfolio: "health", "24/25": "" },
+];
+const labels = (groups) => groups.map((g) => [g.label, g.items.map((r) => r.id)]);
+
+test("sorts measure numbers numerically", () => {
+  expect(sortRows(rows, "number").map((r) => r.id)).toEqual(["B:0", "A:1", "A:0"]);
+});
+
+test("keeps categories of different pillars apart", () => {
+  expect(labels(groupRows(rows, "category", { latestYear: "24/25" }))).toEqual([
+    ["A · 1.1 One", ["A:0", "A:1"]],
+    ["B · 1.1 Other", ["B:0"]],
+  ]);
+});
+
+test("lists shared measures under every portfolio, unassigned last", () => {
+  expect(labels(groupRows(rows, "portfolio", { latestYear: "24/25" }))).toEqual([
+    ["Education", ["A:0"]],
+    ["Health", ["A:0", "B:0"]],
+    ["No portfolio", ["A:1"]],
+  ]);
+});
+
+test("orders latest-status groups by the status vocabulary", () => {
+  expect(labels(groupRows(rows, "status", { latestYear: "24/25" }))).toEqual([
+    ["Started", ["A:1"]],
+    ["Delayed", ["A:0"]],
+    ["No status", ["B:0"]],
+  ]);
+});
+
+test("groups and sorts each pillar by its own latest year when no year is given", () => {
+  const mixed = [
+    { id: "A:0", Pillar: "A", Measures: "1.1.1 A", "23/24": "started", "24/25": "completed" },
+    { id: "B:0", Pillar: "B", Measures: "1.1.1 B", "22/23": "completed", "23/24": "delayed" },
+  ];
+  expect(labels(groupRows(mixed, "status", { latestYear: "" }))).toEqual([
+    ["Delayed", ["B:0"]],
+    ["Completed", ["A:0"]],
+  ]);
+  expect(sortRows(mixed, "status", "").map((r) => r.id)).toEqual(["B:0", "A:0"]);
+});
+
+test("lays groups out as header rows with unique measure ids, skipping collapsed ones", () => {
+  const groups = groupRows(rows, "portfolio", { latestYear: "24/25" });
+  const gridRows = groupedGridRows(groups, ["education"]);
+  expect(gridRows.map((r) => [r.id, isGroupRow(r) ? r.group.label : r.rowId])).toEqual([
+    ["group:0", "Education"],
+    ["group:1", "Health"],
+    ["1:A:0", "A:0"],
+    ["1:B:0", "B:0"],
+    ["group:2", "No portfolio"],
+    ["2:A:1", "A:1"],
+  ]);
+  expect(gridRows[2]).toMatchObject({ Measures: "1.1.10 Ten", Pillar: "A" });
+});
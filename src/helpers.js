@@ -0,0 +1,175 @@
+/**
+ * ------------------------------------------------------------------
+ * Shared helpers – used by the dashboard and by the report exports
+ * ------------------------------------------------------------------
+ */
+
+export const FALLBACK_BG = "#e0e0e0"; // neutral when no colour is supplied in Config
+
+// Helper – safe trim
+export const trim = (v) => (typeof v === "string" ? v.trim() : v);
+
+// "ministry of education" ➜ "Ministry Of Education" – fallback only; shown
+// names come from Config as written (see ./labels)
+export const title = (s) =>
+  String(trim(s) ?? "").replace(/[\p{L}\p{N}]+/gu, (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase());
+export const norm = (s) => trim(s).toLowerCase();          // unify case/space
+export const hex   = (c) => String(c).startsWith("#") ? String(c) : `#${c}`; // add “#” if missing
+
+// WCAG relative luminance below the black/white contrast midpoint
+export function isDark(colour) {
+  const m = String(colour ?? "").replace("#", "").match(/^([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!m) return false;
+  const h = m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+  const [r, g, b] = [0, 2, 4].map((i) => {
+    const c = parseInt(h.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b < 0.18;
+}
+
+// Readable text on any Config colour
+export const textOn = (colour) => (isDark(colour) ? "#fff" : "#000");
+
+// Comma-separated Portfolio / Tags cell ➜ normalised list
+export const splitList = (v) =>
+  String(v ?? "")
+    .split(",")
+    .map((x) => norm(x))
+    .filter(Boolean);
+
+// Yearly status columns are headed "24/25", "25/26" …
+export const isYearField = (f) => /^\d{2}\/\d{2}$/.test(f);
+
+// Every yearly status column present in `rows`, oldest first
+export const yearFields = (rows) =>
+  [...new Set(rows.flatMap((r) => Object.keys(r).filter(isYearField)))].sort();
+
+/**
+ * Number of measures per status ("" = no status recorded) in one yearly
+ * column. Keys are normalised, so "Delayed" and "delayed " count together.
+ */
+export function countStatuses(rows, field) {
+  const counts = {};
+  rows.forEach((r) => {
+    const key = norm(String(r[field] ?? ""));
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Columns shown for a sheet (or the merged "All" rows) – everything except
+ * the internal id, the Category (already used as group heading),
+ * Materials and Update notes.
+ */
+export const displayFields = (rows) =>
+  [...new Set(rows.flatMap((r) => Object.keys(r)))].filter(
+    (f) => !["id", "Category", "Materials"].includes(f) && !/Update/i.test(f)
+  );
+
+/**
+ * Category bucket of a row – the first two numeric levels ("3.2") found in
+ * Category, Subcategory or Measures; "—" when none of them is numbered.
+ */
+export function categoryKey(r) {
+  const tryFields = [r.Category, r.Subcategory, r.Measures];
+  for (let fld of tryFields) {
+    if (!fld) continue;
+    const txt = trim(fld);
+    const m = txt.match(/^(\d+)\.(\d+)/); // capture 1st two numeric levels
+    if (m) return `${m[1]}.${m[2]}`;
+  }
+  return "—"; // bucket for rows with no numeric prefix
+}
+
+// Measures are identified by their number ("1.2.3"), falling back to the text
+export function measureKey(r) {
+  const txt = trim(String(r.Measures ?? ""));
+  const m = txt.match(/^(\d+(?:\.\d+)+)/);
+  return m ? m[1] : norm(txt);
+}
+
+// Status in the row's most recent yearly column ("" when blank)
+export function currentStatus(r) {
+  const year = Object.keys(r).filter(isYearField).sort().pop();
+  return year ? norm(String(r[year] ?? "")) : "";
+}
+
+// Status in one yearly column, or the most recent one when `year` is ""
+export const statusIn = (r, year) => (year ? norm(String(r[year] ?? "")) : currentStatus(r));
+
+/**
+ * Normalised look-ups of a row, worked out once per row object – rows are
+ * only rebuilt when the workbook or the language changes, so filtering on
+ * every keystroke or chip click reuses them:
+ *   { portfolios, tags, categories: [category, subcategory], statuses: { year ➜ key }, latest }
+ */
+const rowIndex = new WeakMap();
+export function rowFacts(r) {
+  let facts = rowIndex.get(r);
+  if (!facts) {
+    const years = Object.keys(r).filter(isYearField).sort();
+    const statuses = Object.fromEntries(years.map((y) => [y, norm(String(r[y] ?? ""))]));
+    facts = {
+      portfolios: splitList(r.Portfolio),
+      tags: splitList(r.Tags),
+      categories: [r.Category, r.Subcategory].map((c) => norm(String(c ?? ""))),
+      statuses,
+      latest: years.length ? statuses[years[years.length - 1]] : "",
+    };
+    rowIndex.set(r, facts);
+  }
+  return facts;
+}
+
+// One chip family: any excluded value rules the row out; the included ones
+// need one hit ("any") or every one of them ("all")
+function familyMatches(values, include, exclude, mode) {
+  if (exclude.some((x) => values.includes(norm(x)))) return false;
+  if (!include.length) return true;
+  const hit = (x) => values.includes(norm(x));
+  return mode === "all" ? include.every(hit) : include.some(hit);
+}
+
+/**
+ * Portfolio, tag and status chips (AND across families). Portfolios and
+ * tags match any or all of their chips (`portfolioMode` / `tagMode`) and
+ * never one of the `notPortfolios` / `notTags`. `statuses` apply to `year`
+ * ("" = latest, "" status = none recorded); `changed` = [fromYear, toYear]
+ * keeps measures whose status differs between the two. The search box is
+ * applied separately – see ./search.
+ */
+export function rowMatches(
+  r,
+  {
+    portfolios = [],
+    notPortfolios = [],
+    portfolioMode = "any",
+    tags = [],
+    notTags = [],
+    tagMode = "any",
+    statuses = [],
+    year = "",
+    changed = [],
+  }
+) {
+  const facts = rowFacts(r);
+  if (!familyMatches(facts.portfolios, portfolios, notPortfolios, portfolioMode)) return false;
+  if (!familyMatches(facts.tags, tags, notTags, tagMode)) return false;
+
+  const statusOf = (y) => (y ? facts.statuses[y] ?? "" : facts.latest);
+  if (statuses.length && !statuses.includes(statusOf(year))) return false;
+  if (changed.length === 2 && statusOf(changed[0]) === statusOf(changed[1])) return false;
+  return true;
+}
+
+// Browser download of generated content (CSV, JSON …)
+export function downloadFile(content, filename, type = "text/plain") {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
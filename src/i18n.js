@@ -0,0 +1,567 @@
+/**
+ * ------------------------------------------------------------------
+ * Languages – UI dictionaries and bilingual content columns
+ * ------------------------------------------------------------------
+ * `translator(lang)` ➜ `t(key, vars)`; "{name}" placeholders are filled
+ * from `vars`, keys missing in a dictionary fall back to English. Counted
+ * phrases have ".one" / ".other" variants, see `t.plural`.
+ *
+ * The workbook may carry parallel columns such as "Measures (DE)" /
+ * "Measures (EN)"; `localizeRow` folds them into "Measures" for the chosen
+ * language, using the other one where a translation is missing.
+ */
+
+export const LANGUAGES = { en: "English", de: "Deutsch" };
+export const DEFAULT_LANG = "en";
+export const toLang = (l) => (LANGUAGES[l] ? l : DEFAULT_LANG);
+
+const MESSAGES = {
+  en: {
+    "app.title": "National Strategy Dashboard",
+    language: "Language",
+    "common.cancel": "Cancel",
+    "common.close": "Close",
+    "common.retry": "Retry",
+
+    "export.button": "Export",
+    "export.title": "Export options",
+    "export.format": "Format",
+    "export.pdf": "PDF report",
+    "export.xlsx": "Excel – one sheet per pillar",
+    "export.csv": "CSV – one flat table",
+    "export.pillars": "Pillars",
+    "export.allPillars": "All pillars",
+    "export.currentTab": "Current tab",
+    "export.currentTabNamed": "Current tab ({tab})",
+    "export.applyFilters": "Apply current filters (Portfolios, Tags, Search)",
+    "export.includeHidden": "Include Update and Materials columns",
+    "export.generatePdf": "Generate PDF",
+    "export.download": "Download",
+    "export.empty": "No measures match the current filters.",
+    "export.emptySheet": "Empty",
+    "report.generated": "Report generated {date}",
+    "report.activeFilters": "Active filters",
+    "report.filters": "Filters",
+    "report.noFilters": "None – all measures included",
+    "report.statusIn": "Status in {year}",
+    "report.latestStatus": "Latest status",
+    "report.search": "Search",
+    "report.complete": "Complete",
+    "report.page": "Page {n} of {total}",
+
+    "data.asOf": "Data as of {date}",
+    "data.from": " · from {source}",
+    "data.checking": " – checking for updates…",
+    "data.offline": " – the live spreadsheet could not be reached, showing the saved copy.",
+    "data.failed": "Failed to load – please check sharing permissions and your connection.",
+    "data.fileGone": "The uploaded file is no longer stored – please choose it again under Data source.",
+
+    "tabs.all": "All",
+    "view.tables": "Tables",
+    "view.progress": "Progress",
+    "view.changes": "Changes",
+    "view.scorecards": "Scorecards",
+
+    "filter.portfolios": "Portfolios",
+    "filter.tags": "Tags",
+    "filter.select": "Select…",
+    "filter.status": "Status",
+    "filter.year": "Year",
+    "filter.latest": "Latest",
+    "filter.statusChanged": "Status changed",
+    "filter.from": "From",
+    "filter.to": "To",
+    "filter.statusIn": "{status} in {year}",
+    "filter.changedChip": "Changed {from} → {to}",
+    "match.label": "{family} match",
+    "match.any": "Any",
+    "match.all": "All",
+    "chip.includedHint": "Shift-click to exclude",
+    "chip.excludedHint": "Excluded · shift-click to include",
+    "chip.includedLabel": "Including {label}. Shift+Enter to exclude, Delete to remove.",
+    "chip.excludedLabel": "Excluding {label}. Shift+Enter to include, Delete to remove.",
+    "chip.filterPortfolio": "Filter by portfolio {name}",
+    "chip.filterTag": "Filter by tag {name}",
+    "search.placeholder": "Search…  e.g. portfolio:education status:delayed",
+    "search.label": "Search measures",
+    "search.count": "{n} of {total} measures",
+
+    // plain-language filter summary (./filterSummary)
+    "words.or": "or",
+    "words.and": "and",
+    "summary.in": "in {values}",
+    "summary.tagged": "tagged {values}",
+    "summary.notIn": "not in {values}",
+    "summary.notTagged": "not tagged {values}",
+    "summary.but": "but {part}",
+    "summary.withoutStatus": "without status",
+    "summary.statusIn": "{statuses} in {year}",
+    "summary.statusLatest": "{statuses} in the latest year",
+    "summary.changed": "with a status change from {from} to {to}",
+    "summary.query": "matching “{query}”",
+    "summary.measures": "Measures {parts}",
+
+    "table.groupBy": "Group by",
+    "table.sortBy": "Sort by",
+    "table.gridLabel": "{group} measures",
+    "group.category": "Category (x.y)",
+    "group.pillar": "Pillar",
+    "group.portfolio": "Portfolio",
+    "group.tag": "Tag",
+    "group.status": "Latest status",
+    "group.noPortfolio": "No portfolio",
+    "group.noTag": "No tag",
+    "group.categoryNumber": "Category {n}",
+    "sort.relevance": "Sheet order / relevance",
+    "sort.number": "Measure number",
+    "sort.status": "Latest status",
+
+    "status.none": "No status",
+    "status.other": "Other status",
+    "legend.statusIn": "Status in {year}:",
+    "legend.latest": "Latest status:",
+    "legend.group": "Filter by status",
+    "legend.showAll": "Show all",
+    "legend.showAllLabel": "Show all statuses",
+    "statusSummary.tooltip": "Status in {year}",
+    "measures.one": "{n} measure",
+    "measures.other": "{n} measures",
+    "progress.complete": "{pct} % complete",
+
+    "columns.button": "Columns",
+    "columns.show": "Show {field}",
+    "columns.pin": "Pin to the left",
+    "columns.unpin": "Unpin",
+    "columns.moveLeft": "Move {field} left",
+    "columns.moveRight": "Move {field} right",
+    "columns.reset": "Reset layout",
+
+    "views.button": "Views",
+    "views.namePrompt": "Name for this view",
+    "views.renamePrompt": "Rename view",
+    "views.deleteConfirm": "Delete the view “{name}”?",
+    "views.rename": "Rename",
+    "views.delete": "Delete",
+    "views.save": "Save current view…",
+    "views.export": "Export views…",
+    "views.import": "Import views…",
+    "views.noneInFile": "The file contains no saved views.",
+
+    "issues.button": "Data issues",
+    "issues.errors.one": "{n} error",
+    "issues.errors.other": "{n} errors",
+    "issues.warnings.one": "{n} warning",
+    "issues.warnings.other": "{n} warnings",
+    "issues.summary": "{errors}, {warnings} – fix them in the source spreadsheet.",
+    "issues.sheet": "Sheet",
+    "issues.allSheets": "All sheets",
+    "issues.row": "Row",
+    "issues.issue": "Issue",
+    "issues.error": "Error",
+    "issues.warning": "Warning",
+    // workbook checks (./validate)
+    "issues.noConfig": "Config sheet is missing",
+    "issues.tagColour": "Tag colour “{value}” is not a valid hex colour",
+    "issues.portfolioColour": "Portfolio colour “{value}” is not a valid hex colour",
+    "issues.statusColour": "Status colour “{value}” is not a valid hex colour",
+    "issues.override": "Display override “{text}” needs both the text and its label",
+    "issues.weight": "Status weight “{value}” is not between 0 and 1 (or 0–100%)",
+    "issues.brandingSetting": "Branding setting “{setting}” is unknown (Title, Logo, Primary colour, Secondary colour or Background)",
+    "issues.brandingColour": "{setting} “{value}” is not a valid hex colour",
+    "issues.brandingUrl": "{setting} “{value}” is not a web address",
+    "issues.noHeader": "No header row found (expected a column named “Measures”)",
+    "issues.noYears": "No yearly status columns (headed like “24/25”)",
+    "issues.noNumber": "Measure “{measure}” has no numeric x.y prefix",
+    "issues.duplicate": "Duplicate measure number {num} (also in row {first})",
+    "issues.unknownStatus": "Unknown status “{status}” in {year}",
+    "issues.unknownPortfolio": "Portfolio “{name}” is not declared in Config",
+    "issues.unknownTag": "Tag “{name}” is not declared in Config",
+
+    "source.button": "Data source",
+    "source.google": "Google spreadsheet",
+    "source.idLabel": "Spreadsheet ID or link",
+    "source.shareHint": "The sheet must be shared with “Anyone with the link”.",
+    "source.load": "Load",
+    "source.local": "Local file",
+    "source.reading": "Reading…",
+    "source.drop": "Drop an .xlsx workbook, a set of .csv files (one per sheet) or a .json snapshot here, or click to choose",
+    "source.csvFiles": "{n} CSV files",
+    "source.unreadable": "The file could not be read.",
+    "source.enterId": "Enter a spreadsheet ID or link.",
+    "source.back": "Back to the published strategy",
+    "source.file": "uploaded file “{name}”",
+    "source.sheet": "spreadsheet {id}",
+    "source.chooseFiles": "Please choose an .xlsx workbook, one or more .csv files or a .json snapshot.",
+    "source.notJson": "The file is not valid JSON.",
+    "source.notSnapshot": "The file is not a strategy snapshot.",
+    "source.newerSnapshot": "The snapshot has format version {version}; this dashboard reads up to {max}.",
+
+    "drawer.copyLink": "Copy link to this measure",
+    "drawer.statusByYear": "Status by year",
+
+    "progress.none": "No yearly status columns match the current filters.",
+    "progress.trend": "Year-over-year trend",
+    "progress.acrossAll": "{n} measures across all pillars",
+    "progress.byPortfolio": "Status by portfolio – {year}",
+
+    "changes.betweenYears": "Between years",
+    "changes.sinceSnapshot": "Since snapshot",
+    "changes.snapshot": "Saved snapshot",
+    "changes.noSnapshots": "No snapshots saved yet",
+    "changes.snapshotDefault": "Snapshot",
+    "changes.deleteSnapshot": "Delete snapshot",
+    "changes.keep": "Save current data as snapshot",
+    "changes.snapshotPrompt": "Name for this snapshot",
+    "changes.filter": "Filter changes…",
+    "changes.exportCsv": "Export CSV",
+    "changes.count.one": "{n} change",
+    "changes.count.other": "{n} changes",
+    "changes.type.changed": "Status changed",
+    "changes.type.added": "New measure",
+    "changes.type.removed": "Removed",
+
+    "scorecard.portfolio": "Portfolio",
+    "scorecard.print": "Print",
+    "scorecard.none": "No portfolios are declared in Config.",
+    "scorecard.empty": "No measures are assigned to this portfolio.",
+    "scorecard.byPillar": "Measures by pillar",
+    "scorecard.statusIn": "Status in {year}",
+    "scorecard.trend": "Year-over-year completion",
+    "scorecard.completion": "% complete",
+    "scorecard.movement": "{from} → {to}: {improved} improved · {slipped} slipped · {steady} unchanged",
+    "scorecard.flagged": "Needs attention",
+    "scorecard.flaggedNone": "None in {year}.",
+    "scorecard.shared": "Shared with other portfolios",
+    "scorecard.sharedNone": "No co-owned measures.",
+    "scorecard.open": "Open the scorecard of {name}",
+
+    "present.button": "Present",
+    "present.title": "Presentation",
+    "present.overview": "Overview",
+    "present.slide": "{n} / {total}",
+    "present.previous": "Previous slide",
+    "present.next": "Next slide",
+    "present.close": "End presentation",
+    "present.fullscreen": "Full screen",
+    "present.advance": "Auto-advance",
+    "present.off": "Off",
+    "present.seconds": "{n} s",
+    "present.empty": "No measures match the current filters.",
+    "present.hint": "← / → or a clicker to move · F full screen · Esc to end",
+  },
+
+  de: {
+    "app.title": "Dashboard Nationale Strategie",
+    language: "Sprache",
+    "common.cancel": "Abbrechen",
+    "common.close": "Schließen",
+    "common.retry": "Erneut versuchen",
+
+    "export.button": "Export",
+    "export.title": "Exportoptionen",
+    "export.format": "Format",
+    "export.pdf": "PDF-Bericht",
+    "export.xlsx": "Excel – ein Blatt pro Säule",
+    "export.csv": "CSV – eine flache Tabelle",
+    "export.pillars": "Säulen",
+    "export.allPillars": "Alle Säulen",
+    "export.currentTab": "Aktueller Reiter",
+    "export.currentTabNamed": "Aktueller Reiter ({tab})",
+    "export.applyFilters": "Aktuelle Filter anwenden (Portfolios, Schlagwörter, Suche)",
+    "export.includeHidden": "Spalten „Update“ und „Materials“ einbeziehen",
+    "export.generatePdf": "PDF erstellen",
+    "export.download": "Herunterladen",
+    "export.empty": "Keine Maßnahmen entsprechen den aktuellen Filtern.",
+    "export.emptySheet": "Leer",
+    "report.generated": "Bericht erstellt am {date}",
+    "report.activeFilters": "Aktive Filter",
+    "report.filters": "Filter",
+    "report.noFilters": "Keine – alle Maßnahmen enthalten",
+    "report.statusIn": "Status {year}",
+    "report.latestStatus": "Neuester Status",
+    "report.search": "Suche",
+    "report.complete": "Erledigt",
+    "report.page": "Seite {n} von {total}",
+
+    "data.asOf": "Datenstand {date}",
+    "data.from": " · aus {source}",
+    "data.checking": " – suche nach Aktualisierungen…",
+    "data.offline": " – die Live-Tabelle ist nicht erreichbar, angezeigt wird die gespeicherte Kopie.",
+    "data.failed": "Laden fehlgeschlagen – bitte Freigabe und Internetverbindung prüfen.",
+    "data.fileGone": "Die hochgeladene Datei ist nicht mehr gespeichert – bitte unter Datenquelle erneut wählen.",
+
+    "tabs.all": "Alle",
+    "view.tables": "Tabellen",
+    "view.progress": "Fortschritt",
+    "view.changes": "Änderungen",
+    "view.scorecards": "Steckbriefe",
+
+    "filter.portfolios": "Portfolios",
+    "filter.tags": "Schlagwörter",
+    "filter.select": "Auswählen…",
+    "filter.status": "Status",
+    "filter.year": "Jahr",
+    "filter.latest": "Neuestes",
+    "filter.statusChanged": "Status geändert",
+    "filter.from": "Von",
+    "filter.to": "Bis",
+    "filter.statusIn": "{status} in {year}",
+    "filter.changedChip": "Geändert {from} → {to}",
+    "match.label": "{family}: Verknüpfung",
+    "match.any": "Eines",
+    "match.all": "Alle",
+    "chip.includedHint": "Umschalt-Klick zum Ausschließen",
+    "chip.excludedHint": "Ausgeschlossen · Umschalt-Klick zum Einschließen",
+    "chip.includedLabel": "{label} eingeschlossen. Umschalt+Eingabe zum Ausschließen, Entf zum Entfernen.",
+    "chip.excludedLabel": "{label} ausgeschlossen. Umschalt+Eingabe zum Einschließen, Entf zum Entfernen.",
+    "chip.filterPortfolio": "Nach Portfolio {name} filtern",
+    "chip.filterTag": "Nach Schlagwort {name} filtern",
+    "search.placeholder": "Suchen…  z. B. portfolio:education status:delayed",
+    "search.label": "Maßnahmen durchsuchen",
+    "search.count": "{n} von {total} Maßnahmen",
+
+    "words.or": "oder",
+    "words.and": "und",
+    "summary.in": "in {values}",
+    "summary.tagged": "mit Schlagwort {values}",
+    "summary.notIn": "nicht in {values}",
+    "summary.notTagged": "ohne Schlagwort {values}",
+    "summary.but": "aber {part}",
+    "summary.withoutStatus": "ohne Status",
+    "summary.statusIn": "{statuses} in {year}",
+    "summary.statusLatest": "{statuses} im neuesten Jahr",
+    "summary.changed": "mit Statuswechsel von {from} zu {to}",
+    "summary.query": "passend zu „{query}“",
+    "summary.measures": "Maßnahmen {parts}",
+
+    "table.groupBy": "Gruppieren nach",
+    "table.sortBy": "Sortieren nach",
+    "table.gridLabel": "Maßnahmen: {group}",
+    "group.category": "Kategorie (x.y)",
+    "group.pillar": "Säule",
+    "group.portfolio": "Portfolio",
+    "group.tag": "Schlagwort",
+    "group.status": "Neuester Status",
+    "group.noPortfolio": "Kein Portfolio",
+    "group.noTag": "Kein Schlagwort",
+    "group.categoryNumber": "Kategorie {n}",
+    "sort.relevance": "Tabellenreihenfolge / Relevanz",
+    "sort.number": "Maßnahmennummer",
+    "sort.status": "Neuester Status",
+
+    "status.none": "Kein Status",
+    "status.other": "Anderer Status",
+    "legend.statusIn": "Status in {year}:",
+    "legend.latest": "Neuester Status:",
+    "legend.group": "Nach Status filtern",
+    "legend.showAll": "Alle zeigen",
+    "legend.showAllLabel": "Alle Status zeigen",
+    "statusSummary.tooltip": "Status in {year}",
+    "measures.one": "{n} Maßnahme",
+    "measures.other": "{n} Maßnahmen",
+    "progress.complete": "{pct} % erledigt",
+
+    "columns.button": "Spalten",
+    "columns.show": "{field} anzeigen",
+    "columns.pin": "Links fixieren",
+    "columns.unpin": "Nicht mehr fixieren",
+    "columns.moveLeft": "{field} nach links",
+    "columns.moveRight": "{field} nach rechts",
+    "columns.reset": "Layout zurücksetzen",
+
+    "views.button": "Ansichten",
+    "views.namePrompt": "Name für diese Ansicht",
+    "views.renamePrompt": "Ansicht umbenennen",
+    "views.deleteConfirm": "Ansicht „{name}“ löschen?",
+    "views.rename": "Umbenennen",
+    "views.delete": "Löschen",
+    "views.save": "Aktuelle Ansicht speichern…",
+    "views.export": "Ansichten exportieren…",
+    "views.import": "Ansichten importieren…",
+    "views.noneInFile": "Die Datei enthält keine gespeicherten Ansichten.",
+
+    "issues.button": "Datenprobleme",
+    "issues.errors.one": "{n} Fehler",
+    "issues.errors.other": "{n} Fehler",
+    "issues.warnings.one": "{n} Warnung",
+    "issues.warnings.other": "{n} Warnungen",
+    "issues.summary": "{errors}, {warnings} – bitte in der Quelltabelle beheben.",
+    "issues.sheet": "Blatt",
+    "issues.allSheets": "Alle Blätter",
+    "issues.row": "Zeile",
+    "issues.issue": "Problem",
+    "issues.error": "Fehler",
+    "issues.warning": "Warnung",
+    // workbook checks (./validate)
+    "issues.noConfig": "Das Blatt „Config“ fehlt",
+    "issues.tagColour": "Schlagwortfarbe „{value}“ ist keine gültige Hex-Farbe",
+    "issues.portfolioColour": "Portfoliofarbe „{value}“ ist keine gültige Hex-Farbe",
+    "issues.statusColour": "Statusfarbe „{value}“ ist keine gültige Hex-Farbe",
+    "issues.override": "Anzeigeersetzung „{text}“ braucht den Text und seine Bezeichnung",
+    "issues.weight": "Statusgewicht „{value}“ liegt nicht zwischen 0 und 1 (oder 0–100 %)",
+    "issues.brandingSetting": "Unbekannte Branding-Einstellung „{setting}“ (Title, Logo, Primary colour, Secondary colour oder Background)",
+    "issues.brandingColour": "{setting} „{value}“ ist keine gültige Hex-Farbe",
+    "issues.brandingUrl": "{setting} „{value}“ ist keine Webadresse",
+    "issues.noHeader": "Keine Kopfzeile gefunden (erwartet wird eine Spalte „Measures“)",
+    "issues.noYears": "Keine Jahresspalten mit Status (Überschrift wie „24/25“)",
+    "issues.noNumber": "Maßnahme „{measure}“ hat keine Nummer x.y am Anfang",
+    "issues.duplicate": "Doppelte Maßnahmennummer {num} (auch in Zeile {first})",
+    "issues.unknownStatus": "Unbekannter Status „{status}“ in {year}",
+    "issues.unknownPortfolio": "Portfolio „{name}“ ist in Config nicht angelegt",
+    "issues.unknownTag": "Schlagwort „{name}“ ist in Config nicht angelegt",
+
+    "source.button": "Datenquelle",
+    "source.google": "Google-Tabelle",
+    "source.idLabel": "Tabellen-ID oder Link",
+    "source.shareHint": "Die Tabelle muss für „Jeder mit dem Link“ freigegeben sein.",
+    "source.load": "Laden",
+    "source.local": "Lokale Datei",
+    "source.reading": "Wird gelesen…",
+    "source.drop": "Eine .xlsx-Arbeitsmappe, mehrere .csv-Dateien (eine pro Blatt) oder einen .json-Schnappschuss hier ablegen oder zum Auswählen klicken",
+    "source.csvFiles": "{n} CSV-Dateien",
+    "source.unreadable": "Die Datei konnte nicht gelesen werden.",
+    "source.enterId": "Bitte eine Tabellen-ID oder einen Link eingeben.",
+    "source.back": "Zurück zur veröffentlichten Strategie",
+    "source.file": "hochgeladene Datei „{name}“",
+    "source.sheet": "Tabelle {id}",
+    "source.chooseFiles": "Bitte eine .xlsx-Arbeitsmappe, eine oder mehrere .csv-Dateien oder einen .json-Schnappschuss wählen.",
+    "source.notJson": "Die Datei ist kein gültiges JSON.",
+    "source.notSnapshot": "Die Datei ist kein Strategie-Schnappschuss.",
+    "source.newerSnapshot": "Der Schnappschuss hat Formatversion {version}; dieses Dashboard liest bis Version {max}.",
+
+    "drawer.copyLink": "Link zu dieser Maßnahme kopieren",
+    "drawer.statusByYear": "Status nach Jahr",
+
+    "progress.none": "Keine jährlichen Statusspalten passen zu den aktuellen Filtern.",
+    "progress.trend": "Entwicklung über die Jahre",
+    "progress.acrossAll": "{n} Maßnahmen in allen Säulen",
+    "progress.byPortfolio": "Status nach Portfolio – {year}",
+
+    "changes.betweenYears": "Zwischen Jahren",
+    "changes.sinceSnapshot": "Seit Schnappschuss",
+    "changes.snapshot": "Gespeicherter Schnappschuss",
+    "changes.noSnapshots": "Noch keine Schnappschüsse gespeichert",
+    "changes.snapshotDefault": "Schnappschuss",
+    "changes.deleteSnapshot": "Schnappschuss löschen",
+    "changes.keep": "Aktuelle Daten als Schnappschuss sichern",
+    "changes.snapshotPrompt": "Name für diesen Schnappschuss",
+    "changes.filter": "Änderungen filtern…",
+    "changes.exportCsv": "CSV exportieren",
+    "changes.count.one": "{n} Änderung",
+    "changes.count.other": "{n} Änderungen",
+    "changes.type.changed": "Status geändert",
+    "changes.type.added": "Neue Maßnahme",
+    "changes.type.removed": "Entfernt",
+
+    "scorecard.portfolio": "Portfolio",
+    "scorecard.print": "Drucken",
+    "scorecard.none": "In der Config sind keine Portfolios angelegt.",
+    "scorecard.empty": "Diesem Portfolio sind keine Maßnahmen zugeordnet.",
+    "scorecard.byPillar": "Maßnahmen nach Säule",
+    "scorecard.statusIn": "Status {year}",
+    "scorecard.trend": "Erledigung über die Jahre",
+    "scorecard.completion": "% erledigt",
+    "scorecard.movement": "{from} → {to}: {improved} verbessert · {slipped} verschlechtert · {steady} unverändert",
+    "scorecard.flagged": "Handlungsbedarf",
+    "scorecard.flaggedNone": "Keine in {year}.",
+    "scorecard.shared": "Mit anderen Portfolios geteilt",
+    "scorecard.sharedNone": "Keine gemeinsamen Maßnahmen.",
+    "scorecard.open": "Steckbrief von {name} öffnen",
+
+    "present.button": "Präsentieren",
+    "present.title": "Präsentation",
+    "present.overview": "Überblick",
+    "present.slide": "{n} / {total}",
+    "present.previous": "Vorherige Folie",
+    "present.next": "Nächste Folie",
+    "present.close": "Präsentation beenden",
+    "present.fullscreen": "Vollbild",
+    "present.advance": "Automatisch weiter",
+    "present.off": "Aus",
+    "present.seconds": "{n} s",
+    "present.empty": "Keine Maßnahmen entsprechen den aktuellen Filtern.",
+    "present.hint": "← / → oder Presenter zum Blättern · F Vollbild · Esc zum Beenden",
+
+    // sheet column headers
+    "field.Pillar": "Säule",
+    "field.Category": "Kategorie",
+    "field.Subcategory": "Unterkategorie",
+    "field.Measures": "Maßnahmen",
+    "field.Tags": "Schlagwörter",
+    "field.Materials": "Materialien",
+  },
+};
+
+export function translator(lang = DEFAULT_LANG) {
+  const dict = MESSAGES[toLang(lang)];
+  const fallback = MESSAGES[DEFAULT_LANG];
+  const t = (key, vars = {}) =>
+    (dict[key] ?? fallback[key] ?? key).replace(/\{(\w+)\}/g, (m, name) => (name in vars ? vars[name] : m));
+  t.lang = toLang(lang);
+  // "{n} measure" / "{n} measures"
+  t.plural = (key, n, vars = {}) => t(`${key}.${n === 1 ? "one" : "other"}`, { n, ...vars });
+  // sheet header ➜ its name in the UI language (unknown headers as they are)
+  t.field = (field) => dict[`field.${field}`] ?? field;
+  return t;
+}
+
+export const DEFAULT_T = translator(DEFAULT_LANG);
+
+/**
+ * Error whose text lives in the dictionaries: `message` is the English
+ * one (console, snapshot CLI), `key` and `vars` let the UI translate it.
+ * Validation issues carry the same three fields.
+ */
+export class MessageError extends Error {
+  constructor(key, vars = {}) {
+    super(DEFAULT_T(key, vars));
+    this.key = key;
+    this.vars = vars;
+  }
+}
+
+// MessageError or issue ➜ its text in the UI language; plain errors as they are
+export const messageText = (t, { key, vars, message }) => (key ? t(key, vars) : message);
+
+// "Measures (DE)", "Update 24/25 (en)" ➜ [base, lang]
+const LANG_COLUMN = /^(.*?)\s*\((de|en)\)$/i;
+
+/**
+ * Row with its "X (DE)" / "X (EN)" fields folded into "X" (at the position
+ * of the first of them): the `lang` text, else the other language's, else
+ * a plain "X" column of the sheet.
+ */
+export function localizeRow(row, lang) {
+  const out = {};
+  const variants = {}; // base ➜ { lang ➜ text }
+  Object.entries(row).forEach(([field, value]) => {
+    const m = field.match(LANG_COLUMN);
+    if (!m) {
+      if (!(field in variants)) out[field] = value;
+      return;
+    }
+    const base = m[1];
+    if (!(base in variants)) {
+      variants[base] = { plain: row[base] };
+      out[base] = "";
+    }
+    variants[base][m[2].toLowerCase()] = value;
+  });
+  Object.entries(variants).forEach(([base, { plain, ...texts }]) => {
+    const other = Object.keys(texts).find((l) => l !== lang && String(texts[l] ?? "").trim());
+    out[base] = String(texts[lang] ?? "").trim() ? texts[lang] : other ? texts[other] : plain ?? "";
+  });
+  return out;
+}
+
+// Does the sheet data have any "X (DE)" / "X (EN)" column?
+const hasLangColumns = (rows) => rows.some((r) => Object.keys(r).some((f) => LANG_COLUMN.test(f)));
+
+/** `rowsByTab` with every row localised; sheets without language columns are kept as they are. */
+export const localizeSheets = (rowsByTab, lang) =>
+  Object.fromEntries(
+    Object.entries(rowsByTab).map(([tab, rows]) => [
+      tab,
+      hasLangColumns(rows) ? rows.map((r) => localizeRow(r, lang)) : rows,
+    ])
+  );
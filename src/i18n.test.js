@@ -0,0 +1,48 @@
+import { translator, localizeRow, localizeSheets, toLang } from "./i18n";
+import { describeFilters } from "./filterSummary";
+import { statusVocabulary } from "./statuses";
+
+test("translates with placeholders, plurals and English fallback", () => {
+  const de = translator("de");
+  expect(de("search.count", { n: 3, total: 10 })).toBe("3 von 10 Maßnahmen");
+  expect(de.plural("measures", 1)).toBe("1 Maßnahme");
+  expect(translator("en").plural("measures", 2)).toBe("2 measures");
+  expect(de("no.such.key")).toBe("no.such.key");
+  expect(de.field("Measures")).toBe("Maßnahmen");
+  expect(de.field("Lead agency")).toBe("Lead agency");
+  expect([toLang("de"), toLang("fr"), toLang("")]).toEqual(["de", "en", "en"]);
+  expect(translator("fr")("tabs.all")).toBe("All");
+});
+
+test("folds language columns into one field, falling back to the other language", () => {
+  const row = {
+    id: 1,
+    "Measures (DE)": "1.1.1 Schulen bauen",
+    "Measures (EN)": "",
+    Portfolio: "education",
+    "Update 24/25 (en)": "on schedule",
+  };
+  expect(localizeRow(row, "en")).toEqual({
+    id: 1,
+    Measures: "1.1.1 Schulen bauen",
+    Portfolio: "education",
+    "Update 24/25": "on schedule",
+  });
+  expect(Object.keys(localizeRow(row, "de"))).toEqual(["id", "Measures", "Portfolio", "Update 24/25"]);
+  expect(localizeRow({ Measures: "plain", "Measures (DE)": "" }, "de").Measures).toBe("plain");
+});
+
+test("leaves sheets without language columns untouched", () => {
+  const plain = [{ id: 0, Measures: "1.1 x" }];
+  const sheets = localizeSheets({ A: plain, B: [{ "Measures (EN)": "2.1 y", "Measures (DE)": "2.1 z" }] }, "de");
+  expect(sheets.A).toBe(plain);
+  expect(sheets.B[0].Measures).toBe("2.1 z");
+});
+
+test("describes the filters in German", () => {
+  const t = translator("de");
+  const filters = { portfolios: ["education"], notTags: ["blue"], statuses: [""], query: "solar" };
+  expect(describeFilters(filters, statusVocabulary(undefined, t), t)).toBe(
+    "Maßnahmen in Education, ohne Schlagwort Blue, ohne Status im neuesten Jahr und passend zu „solar“"
+  );
+});
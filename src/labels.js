@@ -0,0 +1,49 @@
+import { norm, title, trim } from "./helpers.js";
+
+/**
+ * ------------------------------------------------------------------
+ * Display labels – portfolio / tag names as written in Config
+ * ------------------------------------------------------------------
+ * Cells are matched by `norm()` ("eu affairs"), but shown the way Config
+ * spells the name ("EU Affairs"). Values Config does not declare are title
+ * cased word by word. The optional display overrides (columns K–L, see
+ * `parseLabelOverrides`) win over both – for a whole value or a single word:
+ *   [{ text, label }]   e.g. { text: "egovernment", label: "eGovernment" }
+ * The built-in list applies when Config has no overrides.
+ */
+
+const override = (text, label) => ({ text: norm(text), label });
+
+export const DEFAULT_OVERRIDES = ["IT", "NC", "IC", "PR", "HR", "UE"].map((a) => override(a, a));
+
+/**
+ * Config columns (same rows as the tag / portfolio lists):
+ *  K | Text as it appears in the sheet (any casing)
+ *  L | Label to show instead
+ */
+export function parseLabelOverrides(cfgRows) {
+  const list = cfgRows
+    .map(({ cells }) => [trim(String(cells[10] ?? "")), trim(String(cells[11] ?? ""))])
+    .filter(([text, label]) => text && label)
+    .map(([text, label]) => override(text, label));
+  return list.length ? list : DEFAULT_OVERRIDES;
+}
+
+/** Look-ups over the Config names – build once per model. */
+export function displayLabels({ names = [], overrides = DEFAULT_OVERRIDES } = {}) {
+  const byText = new Map(overrides.map((o) => [o.text, o.label]));
+  const written = new Map(names.map((n) => [norm(n), trim(n)]));
+  const titled = (s) => title(s).replace(/[\p{L}\p{N}]+/gu, (word) => byText.get(norm(word)) ?? word); // per-word exceptions
+
+  const label = (raw) => {
+    const key = norm(String(raw ?? ""));
+    return byText.get(key) ?? written.get(key) ?? titled(String(raw ?? ""));
+  };
+  return {
+    label,
+    // comma-separated Portfolio / Tags cell ➜ "EU Affairs, Health"
+    list: (values) => values.map(label).join(", "),
+  };
+}
+
+export const DEFAULT_LABELS = displayLabels();
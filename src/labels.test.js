@@ -0,0 +1,58 @@
+import * as XLSX from "xlsx";
+import { DEFAULT_LABELS, DEFAULT_OVERRIDES, displayLabels, parseLabelOverrides } from "./labels";
+import { parseWorkbook } from "./workbook";
+
+// Config row with only the override columns (K–L) filled
+const overrideRow = (text, label) => ({ cells: [...Array(10).fill(""), text, label] });
+
+test("shows names as written in Config, matched by their normalised form", () => {
+  const labels = displayLabels({ names: ["EU Affairs", "eGovernment", " Health "], overrides: [] });
+  expect(["eu affairs", "EGOVERNMENT", "health"].map(labels.label)).toEqual(["EU Affairs", "eGovernment", "Health"]);
+  expect(labels.label("climate and oceans")).toBe("Climate And Oceans"); // undeclared ➜ title case
+  expect(labels.list(["eu affairs", "health"])).toBe("EU Affairs, Health");
+});
+
+test("applies display overrides to whole values and single words", () => {
+  const labels = displayLabels({
+    names: ["Foreign affairs"],
+    overrides: parseLabelOverrides([
+      overrideRow("foreign affairs", "Foreign Affairs (MFA)"),
+      overrideRow("ngos", "NGOs"),
+    ]),
+  });
+  expect(labels.label("FOREIGN AFFAIRS")).toBe("Foreign Affairs (MFA)");
+  expect(labels.label("support for ngos")).toBe("Support For NGOs");
+});
+
+test("falls back to the built-in acronyms when Config has no overrides", () => {
+  expect(parseLabelOverrides([{ cells: ["climate"] }, overrideRow("eu", "")])).toBe(DEFAULT_OVERRIDES);
+  expect(DEFAULT_LABELS.label("it security")).toBe("IT Security");
+});
+
+test("reads overrides from Config and warns about half-filled rows", () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Tags", "colour", "Portfolios", "colour", "", "Statuses", "", "", "", "", "Text", "Label"],
+      ["climate", "", "Education", "", "", "", "", "", "", "", "eu", "EU"],
+      ["", "", "", "", "", "", "", "", "", "", "oecd", ""],
+    ]),
+    "Config"
+  );
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Measures", "Portfolio", "Tags"],
+      ["1.1.1 Build schools", "Education", "climate"],
+    ]),
+    "Pillar"
+  );
+  const { labelOverrides, issues } = parseWorkbook(wb);
+  expect(labelOverrides).toEqual([{ text: "eu", label: "EU" }]);
+  expect(issues.map((i) => [i.sheet, i.row, i.message])).toContainEqual([
+    "Config",
+    3,
+    "Display override “oecd” needs both the text and its label",
+  ]);
+});
@@ -0,0 +1,159 @@
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import { groupBy } from "lodash";
+import {
+  norm,
+  splitList,
+  isYearField,
+  yearFields,
+  displayFields,
+  categoryKey,
+} from "./helpers";
+import { filterRows } from "./search";
+import { describeFamily } from "./filterSummary";
+import { DEFAULT_VOCAB, percentComplete } from "./statuses";
+import { DEFAULT_LABELS } from "./labels";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * PDF report – cover page + one section per sheet tab
+ * ------------------------------------------------------------------
+ */
+const MARGIN = 40;
+
+const cellText = (field, value, labels) => {
+  if (field === "Portfolio" || field === "Tags") return labels.list(splitList(value));
+  return String(value ?? "");
+};
+
+function drawCover(doc, { title, tabs, counts, completion, filters, applyFilters, vocab, labels, t }) {
+  doc.setFontSize(24);
+  doc.text(title || t("app.title"), MARGIN, 80);
+  doc.setFontSize(11);
+  doc.text(t("report.generated", { date: new Date().toLocaleString(t.lang) }), MARGIN, 104);
+
+  const list = (arr) => (arr.length ? arr.join(", ") : "—");
+  const body = applyFilters
+    ? [
+        [t("filter.portfolios"), describeFamily("in", filters.portfolios, filters.notPortfolios, { mode: filters.portfolioMode, labels }) || "—"],
+        [t("filter.tags"), describeFamily("tagged", filters.tags, filters.notTags, { mode: filters.tagMode, labels }) || "—"],
+        [filters.year ? t("report.statusIn", { year: filters.year }) : t("report.latestStatus"), list((filters.statuses ?? []).map((s) => vocab.label(s)))],
+        [t("filter.statusChanged"), filters.changed?.length === 2 ? `${filters.changed[0]} → ${filters.changed[1]}` : "—"],
+        [t("report.search"), filters.query ? `“${filters.query}”` : "—"],
+      ]
+    : [[t("report.filters"), t("report.noFilters")]];
+
+  autoTable(doc, {
+    startY: 130,
+    head: [[t("report.activeFilters"), ""]],
+    body,
+    theme: "plain",
+    styles: { fontSize: 10 },
+    headStyles: { fontStyle: "bold" },
+    columnStyles: { 0: { cellWidth: 110, fontStyle: "bold" } },
+    margin: { left: MARGIN, right: MARGIN },
+  });
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 24,
+    head: [[t.field("Pillar"), t.field("Measures"), t("report.complete")]],
+    body: tabs.map((tab) => [tab, counts[tab], completion[tab] === null ? "—" : `${completion[tab]} %`]),
+    theme: "striped",
+    styles: { fontSize: 10 },
+    columnStyles: { 1: { halign: "right", cellWidth: 80 }, 2: { halign: "right", cellWidth: 80 } },
+    margin: { left: MARGIN, right: MARGIN },
+    tableWidth: 400,
+  });
+}
+
+function drawPillar(doc, tabName, rows, { vocab, labels, t }) {
+  const fields = displayFields(rows);
+  const grouped = groupBy(rows, categoryKey);
+
+  doc.setFontSize(18);
+  doc.text(tabName, MARGIN, 50);
+
+  // One body row per category heading, followed by its measures
+  const body = [];
+  Object.entries(grouped).forEach(([cat, items]) => {
+    body.push([
+      {
+        content: items[0].Category || t("group.categoryNumber", { n: cat }),
+        colSpan: fields.length,
+        styles: { fontStyle: "bold", fillColor: [227, 242, 253], fontSize: 9 },
+      },
+    ]);
+    items.forEach((r) => body.push(fields.map((f) => cellText(f, r[f], labels))));
+  });
+
+  autoTable(doc, {
+    startY: 64,
+    head: [fields],
+    body,
+    theme: "grid",
+    styles: { fontSize: 7, overflow: "linebreak", valign: "top" },
+    headStyles: { fillColor: [0, 51, 153] },
+    columnStyles: Object.fromEntries(
+      fields.map((f, i) => [i, f === "Measures" ? { cellWidth: 240 } : isYearField(f) ? { halign: "center" } : {}])
+    ),
+    margin: { left: MARGIN, right: MARGIN, top: MARGIN },
+    showHead: "everyPage",
+    // Yearly status cells keep the dashboard colours
+    didParseCell: (d) => {
+      if (d.section !== "body" || d.cell.colSpan > 1) return;
+      const field = fields[d.column.index];
+      if (!isYearField(field)) return;
+      const key = norm(String(d.cell.raw ?? ""));
+      if (!vocab.colour(key)) return;
+      d.cell.styles.fillColor = vocab.colour(key);
+      if (vocab.textColour(key) === "#fff") d.cell.styles.textColor = 255;
+    },
+  });
+}
+
+/**
+ * Builds and downloads the report. With `applyFilters` the current
+ * Portfolio / Tag / Search selection is honoured and listed on the cover;
+ * `title` is the branded one (see ./branding), else the app title.
+ */
+export function exportPdfReport({
+  tabs,
+  rowsByTab,
+  filters,
+  applyFilters,
+  vocab = DEFAULT_VOCAB,
+  labels = DEFAULT_LABELS,
+  title = "",
+  t = DEFAULT_T,
+}) {
+  const doc = new jsPDF({ orientation: "landscape", unit: "pt", format: "a4" });
+
+  const rowsFor = (tab) => (applyFilters ? filterRows(rowsByTab[tab], filters) : rowsByTab[tab]);
+  const counts = Object.fromEntries(tabs.map((tab) => [tab, rowsFor(tab).length]));
+  // weighted completion in each pillar's latest yearly column
+  const completion = Object.fromEntries(
+    tabs.map((tab) => [tab, percentComplete(rowsFor(tab), yearFields(rowsFor(tab)).pop(), vocab)])
+  );
+
+  drawCover(doc, { title, tabs, counts, completion, filters, applyFilters, vocab, labels, t });
+
+  tabs.forEach((tabName) => {
+    const rows = rowsFor(tabName);
+    if (!rows.length) return; // skip empty pillar
+    doc.addPage();
+    drawPillar(doc, tabName, rows, { vocab, labels, t });
+  });
+
+  // Page footer once the total page count is known
+  const pageCount = doc.getNumberOfPages();
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  doc.setFontSize(9);
+  for (let i = 1; i <= pageCount; i++) {
+    doc.setPage(i);
+    doc.text(t("report.page", { n: i, total: pageCount }), width - MARGIN, height - 20, { align: "right" });
+  }
+
+  doc.save(applyFilters ? "strategy_filtered.pdf" : "strategy_all.pdf");
+}
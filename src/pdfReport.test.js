@@ -0,0 +1,56 @@
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import { exportPdfReport } from "./pdfReport";
+import { translator } from "./i18n";
+
+jest.mock("jspdf", () => jest.fn());
+jest.mock("jspdf-autotable", () => jest.fn());
+
+// only the calls the report makes
+const fakeDoc = () => ({
+  text: jest.fn(),
+  setFontSize: jest.fn(),
+  addPage: jest.fn(),
+  setPage: jest.fn(),
+  save: jest.fn(),
+  getNumberOfPages: () => 2,
+  lastAutoTable: { finalY: 200 },
+  internal: { pageSize: { getWidth: () => 842, getHeight: () => 595 } },
+});
+
+const rowsByTab = {
+  Education: [
+    { id: 0, Measures: "1.1.1 Build schools", Portfolio: "education", "24/25": "completed" },
+    { id: 1, Measures: "1.2.1 Hire teachers", Portfolio: "finance", "24/25": "delayed" },
+  ],
+};
+const filters = { portfolios: ["education"], tags: [], statuses: [], year: "24/25", query: "schools" };
+
+beforeEach(() => jsPDF.mockImplementation(fakeDoc));
+
+test("writes the cover, headings and footer in the UI language", () => {
+  exportPdfReport({ tabs: ["Education"], rowsByTab, filters, applyFilters: true, t: translator("de") });
+  const doc = jsPDF.mock.results[0].value;
+  const texts = doc.text.mock.calls.map(([text]) => text);
+  expect(texts[0]).toBe("Dashboard Nationale Strategie");
+  expect(texts[1]).toMatch(/^Bericht erstellt am /);
+  expect(texts).toContain("Seite 2 von 2");
+
+  const [filtersTable, pillarsTable, measuresTable] = autoTable.mock.calls.map(([, opts]) => opts);
+  expect(filtersTable.head).toEqual([["Aktive Filter", ""]]);
+  expect(filtersTable.body.map(([label]) => label)).toEqual([
+    "Portfolios",
+    "Schlagwörter",
+    "Status 24/25",
+    "Status geändert",
+    "Suche",
+  ]);
+  expect(pillarsTable.head).toEqual([["Säule", "Maßnahmen", "Erledigt"]]);
+  expect(measuresTable.body[0][0].content).toBe("Kategorie 1.1"); // no Category column
+});
+
+test("states that no filters apply under the branded title", () => {
+  exportPdfReport({ tabs: ["Education"], rowsByTab, filters, applyFilters: false, title: "Partner view", t: translator("de") });
+  expect(jsPDF.mock.results[0].value.text.mock.calls[0][0]).toBe("Partner view");
+  expect(autoTable.mock.calls[0][1].body).toEqual([["Filter", "Keine – alle Maßnahmen enthalten"]]);
+});
@@ -0,0 +1,70 @@
+import { MessageError } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Saved views – named dashboard states kept in localStorage
+ * ------------------------------------------------------------------
+ * A view holds the same state the URL hash does (see ./urlState, minus the
+ * open measure and the language) plus what the hash leaves out: hidden grid columns and
+ * collapsed groups.
+ *   { id, name, savedAt, state, columns: { field ➜ visible }, collapsed: [groupKey] }
+ */
+const STORAGE_KEY = "natstrat.views";
+const FILE_FORMAT = "natstrat-views";
+
+const isView = (v) => v && typeof v.name === "string" && v.state && typeof v.state === "object";
+
+export function loadViews() {
+  try {
+    const views = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(views) ? views.filter(isView) : [];
+  } catch {
+    return []; // unreadable – start over
+  }
+}
+
+export function storeViews(views) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(views));
+  } catch {
+    // storage full or blocked – the views last for this visit only
+  }
+}
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export function makeView(name, { state, columns = {}, collapsed = [] }) {
+  const { measure, lang, ...rest } = state; // a view is not about one measure, nor a language
+  return {
+    id: newId(),
+    name,
+    savedAt: new Date().toISOString(),
+    state: rest,
+    columns,
+    collapsed,
+  };
+}
+
+export const viewsToJson = (views) => JSON.stringify({ format: FILE_FORMAT, version: 1, views }, null, 2);
+
+/**
+ * Views from an exported file, merged into `current`: an imported view
+ * replaces the one with the same id, new ones are appended.
+ */
+export function importViews(text, current) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new MessageError("source.notJson");
+  }
+  const incoming = (Array.isArray(data?.views) ? data.views.filter(isView) : []).map((v) => ({
+    columns: {},
+    collapsed: [],
+    ...v,
+    id: v.id || newId(),
+  }));
+  if (data?.format !== FILE_FORMAT || !incoming.length) throw new MessageError("views.noneInFile");
+  const ids = new Set(incoming.map((v) => v.id));
+  return [...current.filter((v) => !ids.has(v.id)), ...incoming];
+}
@@ -0,0 +1,45 @@
+import { importViews, loadViews, makeView, storeViews, viewsToJson } from "./savedViews";
+import { messageText, translator } from "./i18n";
+
+const state = { tab: "Education", portfolios: ["education"], statuses: ["delayed"], query: "", measure: "Education:1.1.1" };
+
+const thrown = (fn) => {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+};
+
+beforeEach(() => localStorage.clear());
+
+test("stores views without the open measure", () => {
+  const view = makeView("Briefing", { state, columns: { Tags: false }, collapsed: ["1.2"] });
+  storeViews([view]);
+  const [loaded] = loadViews();
+  expect(loaded).toMatchObject({ name: "Briefing", columns: { Tags: false }, collapsed: ["1.2"] });
+  expect(loaded.state).toEqual({ tab: "Education", portfolios: ["education"], statuses: ["delayed"], query: "" });
+});
+
+test("ignores unreadable storage", () => {
+  localStorage.setItem("natstrat.views", "{nope");
+  expect(loadViews()).toEqual([]);
+});
+
+test("ignores storage that refuses the write", () => {
+  const setItem = jest.spyOn(Storage.prototype, "setItem").mockImplementation(() => {
+    throw new DOMException("full", "QuotaExceededError");
+  });
+  expect(() => storeViews([makeView("Briefing", { state })])).not.toThrow();
+  setItem.mockRestore();
+});
+
+test("imports exported views, replacing those with the same id", () => {
+  const a = makeView("A", { state });
+  const b = makeView("B", { state });
+  const renamed = { ...a, name: "A (team)" };
+  expect(importViews(viewsToJson([renamed]), [a, b]).map((v) => v.name)).toEqual(["B", "A (team)"]);
+  expect(() => importViews("[]", [])).toThrow("no saved views");
+  expect(() => importViews("{", [])).toThrow("not valid JSON");
+  expect(messageText(translator("de"), thrown(() => importViews("[]", [])))).toBe("Die Datei enthält keine gespeicherten Ansichten.");
+});
@@ -0,0 +1,65 @@
+import { norm, splitList, yearFields, countStatuses, statusIn } from "./helpers";
+import { DEFAULT_VOCAB, percentComplete } from "./statuses";
+
+/**
+ * ------------------------------------------------------------------
+ * Portfolio scorecards – one Config portfolio across every pillar
+ * ------------------------------------------------------------------
+ * A measure belongs to each portfolio in its Portfolio cell, so shared
+ * measures appear on every owner's card:
+ *   { key, total, byPillar: [{ pillar, rows }], latest, statuses: { status ➜ n },
+ *     completion: [{ year, pct }], movement, flagged: [{ pillar, row, status }],
+ *     shared: [{ pillar, row, others: [portfolio] }] }
+ */
+
+/**
+ * One measure from `from` to `to` (status keys): entering or leaving a
+ * status that needs attention (see ./statuses) decides, otherwise the
+ * completion weight (blank = 0).
+ */
+export function movementOf(from, to, vocab = DEFAULT_VOCAB) {
+  if (from === to) return "steady";
+  const flagged = vocab.attention;
+  if (flagged(from) !== flagged(to)) return flagged(to) ? "slipped" : "improved";
+  const before = vocab.weight(from) ?? 0;
+  const after = vocab.weight(to) ?? 0;
+  return after > before ? "improved" : after < before ? "slipped" : "steady";
+}
+
+export function portfolioScorecard({ tabs, rowsByTab }, portfolio, vocab = DEFAULT_VOCAB) {
+  const key = norm(portfolio);
+  const owned = tabs.flatMap((pillar) =>
+    (rowsByTab[pillar] ?? []).filter((r) => splitList(r.Portfolio).includes(key)).map((row) => ({ pillar, row }))
+  );
+  const rows = owned.map((o) => o.row);
+  const years = yearFields(rows);
+  const latest = years[years.length - 1] ?? "";
+  const previous = years[years.length - 2] ?? "";
+
+  // latest pair of years ➜ { from, to, improved, slipped, steady }
+  let movement = null;
+  if (previous) {
+    movement = { from: previous, to: latest, improved: 0, slipped: 0, steady: 0 };
+    rows.forEach((r) => movement[movementOf(statusIn(r, previous), statusIn(r, latest), vocab)]++);
+  }
+
+  return {
+    key,
+    total: rows.length,
+    byPillar: tabs
+      .map((pillar) => ({ pillar, rows: owned.filter((o) => o.pillar === pillar).map((o) => o.row) }))
+      .filter((p) => p.rows.length),
+    latest,
+    statuses: latest ? countStatuses(rows, latest) : {},
+    completion: years.map((year) => ({ year, pct: percentComplete(rows, year, vocab) })),
+    movement,
+    flagged: latest
+      ? owned
+          .map((o) => ({ ...o, status: statusIn(o.row, latest) }))
+          .filter((o) => vocab.attention(o.status))
+      : [],
+    shared: owned
+      .map((o) => ({ ...o, others: splitList(o.row.Portfolio).filter((p) => p !== key) }))
+      .filter((o) => o.others.length),
+  };
+}
@@ -0,0 +1,87 @@
+import { movementOf, portfolioScorecard } from "./scorecard";
+import { parseStatusConfig, statusVocabulary } from "./statuses";
+
+const row = (id, measure, portfolio, s1, s2) => ({ id, Measures: measure, Portfolio: portfolio, "23/24": s1, "24/25": s2 });
+const model = {
+  tabs: ["Education", "Health", "Finance"],
+  rowsByTab: {
+    Education: [
+      row(0, "1.1.1 Build schools", "Education", "started", "completed"),
+      row(1, "1.1.2 Train teachers", "education, Health", "started", "delayed"),
+    ],
+    Health: [row(0, "2.1.1 Clinics", "Health", "", "started"), row(1, "2.1.2 School meals", "EDUCATION", "on track", "on track")],
+    Finance: [row(0, "3.1.1 Budget", "Finance", "started", "abandoned")],
+  },
+};
+
+test("judges a status move by flagged statuses first, then by weight", () => {
+  expect(movementOf("started", "completed")).toBe("improved");
+  expect(movementOf("delayed", "started")).toBe("improved"); // same weight, no longer flagged
+  expect(movementOf("on track", "abandoned")).toBe("slipped");
+  expect(movementOf("completed", "maintained")).toBe("steady");
+  expect(movementOf("", "not started")).toBe("steady");
+});
+
+test("collects a portfolio's measures across every pillar", () => {
+  const card = portfolioScorecard(model, " Education ");
+  expect(card.key).toBe("education");
+  expect(card.total).toBe(3);
+  expect(card.byPillar.map((p) => [p.pillar, p.rows.length])).toEqual([
+    ["Education", 2],
+    ["Health", 1],
+  ]);
+  expect(card.statuses).toEqual({ completed: 1, delayed: 1, "on track": 1 });
+  expect(card.completion).toEqual([
+    { year: "23/24", pct: 33 }, // (.25 + .25 + .5) / 3
+    { year: "24/25", pct: 58 }, // (1 + .25 + .5) / 3
+  ]);
+  expect(card.movement).toEqual({ from: "23/24", to: "24/25", improved: 1, slipped: 1, steady: 1 });
+});
+
+test("lists measures needing attention and co-owned measures", () => {
+  const card = portfolioScorecard(model, "health");
+  expect(card.flagged.map((f) => [f.pillar, f.row.Measures, f.status])).toEqual([
+    ["Education", "1.1.2 Train teachers", "delayed"],
+  ]);
+  expect(card.shared.map((s) => [s.row.Measures, s.others])).toEqual([["1.1.2 Train teachers", ["education"]]]);
+  expect(portfolioScorecard(model, "Foreign affairs")).toMatchObject({ total: 0, byPillar: [], movement: null });
+});
+
+test("takes the statuses needing attention from the Config vocabulary", () => {
+  // F name | G colour | H weight | I synonyms | J needs attention
+  const config = [
+    ["Planned", "#e6e6e6", "0", "", ""],
+    ["Running", "#ffd360", "0.5", "", ""],
+    ["Stuck", "#ff9689", "0.5", "", "x"],
+    ["Done", "#11734b", "1", "", "no"],
+  ].map((cols) => ({ cells: ["", "", "", "", "", ...cols] })); // A–E belong to the other lists
+  const vocab = statusVocabulary(parseStatusConfig(config));
+  expect(movementOf("running", "stuck", vocab)).toBe("slipped"); // same weight
+  expect(movementOf("stuck", "running", vocab)).toBe("improved");
+  expect(movementOf("delayed", "running", vocab)).toBe("improved"); // not a status here – weight 0
+
+  const custom = {
+    tabs: ["Education"],
+    rowsByTab: {
+      Education: [
+        row(0, "1.1.1 Build schools", "Education", "running", "stuck"),
+        row(1, "1.1.2 Train teachers", "Education", "running", "delayed"),
+      ],
+    },
+  };
+  expect(portfolioScorecard(custom, "Education", vocab).flagged.map((f) => f.status)).toEqual(["stuck"]);
+});
+
+test("keeps Delayed and Abandoned flagged when Config has no J column", () => {
+  // F name | G colour | H weight | I synonyms – as most workbooks have it
+  const config = [
+    ["Started", "#ffd360", "0.25", ""],
+    ["Verzögert", "#ff9689", "0.25", "delayed"],
+    ["Abandoned", "#3d3d3d", "", ""],
+    ["Completed", "#11734b", "1", ""],
+  ].map((cols) => ({ cells: ["", "", "", "", "", ...cols] }));
+  const vocab = statusVocabulary(parseStatusConfig(config));
+  expect(vocab.list.filter((s) => s.attention).map((s) => s.key)).toEqual(["verzögert", "abandoned"]);
+  expect(movementOf("started", "verzögert", vocab)).toBe("slipped"); // same weight
+  expect(portfolioScorecard(model, "finance", vocab).flagged.map((f) => f.status)).toEqual(["abandoned"]);
+});
@@ -0,0 +1,114 @@
+import Fuse from "fuse.js";
+import { norm, rowFacts, rowMatches } from "./helpers";
+
+/**
+ * ------------------------------------------------------------------
+ * Search – fuzzy text + field-scoped terms
+ * ------------------------------------------------------------------
+ * Free text is matched fuzzily (fuse.js) against Measures, Subcategory and
+ * Category only. `field:value` terms narrow the result down further:
+ *
+ *   portfolio:education  tag:climate  status:delayed  year:24/25
+ *   category:"3.2"       portfolio:"foreign affairs"
+ *
+ * `status:` looks at every yearly column, or only at the `year:` ones when
+ * both are given; `year:` on its own keeps measures with a status that year.
+ */
+
+const FIELD_ALIASES = {
+  portfolio: "portfolio",
+  portfolios: "portfolio",
+  tag: "tag",
+  tags: "tag",
+  status: "status",
+  year: "year",
+  category: "category",
+  cat: "category",
+};
+
+const FUSE_OPTIONS = {
+  keys: [
+    { name: "Measures", weight: 0.6 },
+    { name: "Subcategory", weight: 0.25 },
+    { name: "Category", weight: 0.15 },
+  ],
+  threshold: 0.35,
+  ignoreLocation: true,
+  includeMatches: true,
+  includeScore: true,
+  minMatchCharLength: 2,
+};
+
+/**
+ * Splits the search box into free text and scoped terms.
+ * `portfolio:"foreign affairs" schools` ➜
+ *   { text: "schools", terms: { portfolio: ["foreign affairs"] } }
+ * Unknown prefixes ("http:") stay part of the free text.
+ */
+export function parseQuery(query = "") {
+  const terms = {};
+  const text = [];
+  const re = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(query))) {
+    const field = m[1] && FIELD_ALIASES[m[1].toLowerCase()];
+    if (field) {
+      const value = norm(m[2] ?? m[3]);
+      if (value) (terms[field] = terms[field] || []).push(value);
+    } else {
+      text.push(m[4] ?? m[5] ?? m[0]);
+    }
+  }
+  return { text: text.join(" ").trim(), terms };
+}
+
+const someIncludes = (list, values) => values.some((v) => list.some((x) => x.includes(v)));
+
+function matchesTerms(r, terms) {
+  const facts = rowFacts(r);
+  if (terms.portfolio && !someIncludes(facts.portfolios, terms.portfolio)) return false;
+  if (terms.tag && !someIncludes(facts.tags, terms.tag)) return false;
+  if (terms.category && !someIncludes(facts.categories, terms.category)) return false;
+
+  if (terms.status || terms.year) {
+    const statuses = Object.entries(facts.statuses)
+      .filter(([year, s]) => s && (!terms.year || terms.year.includes(year)))
+      .map(([, s]) => s);
+    if (!statuses.length) return false;
+    if (terms.status && !someIncludes(statuses, terms.status)) return false;
+  }
+  return true;
+}
+
+// One fuse.js index per row list, kept while the list lives – the free
+// text is searched across all of `rows` and narrowed down afterwards
+const fuseIndex = new WeakMap();
+function fuseFor(rows) {
+  if (!fuseIndex.has(rows)) fuseIndex.set(rows, new Fuse(rows, FUSE_OPTIONS));
+  return fuseIndex.get(rows);
+}
+
+/**
+ * Applies the search box to `rows`, keeping only rows `keep` accepts (the
+ * chip filters). Returns the matching rows – ranked by relevance when there
+ * is free text – and, per row id, the character ranges of the Measures text
+ * that matched (for highlighting).
+ */
+export function searchRows(rows, query, keep = () => true) {
+  const { text, terms } = parseQuery(query);
+  const wanted = (r) => keep(r) && matchesTerms(r, terms);
+  if (!text) return { rows: rows.filter(wanted), highlights: new Map() };
+
+  const results = fuseFor(rows)
+    .search(text)
+    .filter(({ item }) => wanted(item));
+  const highlights = new Map();
+  results.forEach(({ item, matches = [] }) => {
+    const ranges = matches.filter((mt) => mt.key === "Measures").flatMap((mt) => mt.indices);
+    if (ranges.length) highlights.set(item.id, ranges);
+  });
+  return { rows: results.map((res) => res.item), highlights };
+}
+
+// Chip filters + search box, as used by the tables, charts and exports
+export const filterRows = (rows, filters) => searchRows(rows, filters.query, (r) => rowMatches(r, filters)).rows;
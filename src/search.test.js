@@ -0,0 +1,65 @@
+import { parseQuery, searchRows, filterRows } from "./search";
+
+const rows = [
+  { id: 0, Category: "1.1 Schools", Measures: "1.1.1 Free school meals", Portfolio: "Education", Tags: "health", "23/24": "started", "24/25": "delayed" },
+  { id: 1, Category: "1.1 Schools", Measures: "1.1.2 Teacher training", Portfolio: "Education, Labour", Tags: "", "23/24": "delayed", "24/25": "completed" },
+  { id: 2, Category: "2.1 Energy", Measures: "2.1.1 Solar roofs on schools", Portfolio: "Climate", Tags: "climate", "23/24": "", "24/25": "" },
+];
+const ids = (query) => searchRows(rows, query).rows.map((r) => r.id);
+
+test("splits scoped terms from free text", () => {
+  expect(parseQuery('portfolio:"foreign affairs" year:24/25 solar http://x')).toEqual({
+    text: "solar http://x",
+    terms: { portfolio: ["foreign affairs"], year: ["24/25"] },
+  });
+});
+
+test("free text is fuzzy and ignores status columns", () => {
+  expect(ids("scool meals")).toEqual([0]);
+  expect(ids("delayed")).toEqual([]);
+});
+
+test("status and year terms combine", () => {
+  expect(ids("status:delayed")).toEqual([0, 1]);
+  expect(ids("status:delayed year:24/25")).toEqual([0]);
+  expect(ids("year:23/24")).toEqual([0, 1]);
+  expect(ids("portfolio:labour")).toEqual([1]);
+});
+
+test("reports highlight ranges inside Measures", () => {
+  const { highlights } = searchRows(rows, "solar");
+  const [[start, end]] = highlights.get(2);
+  expect(rows[2].Measures.slice(start, end + 1)).toBe("Solar");
+});
+
+test("legend statuses match the latest yearly column only", () => {
+  const filtered = (statuses) => filterRows(rows, { portfolios: [], tags: [], statuses, query: "" }).map((r) => r.id);
+  expect(filtered(["delayed"])).toEqual([0]);
+  expect(filtered(["delayed", "completed"])).toEqual([0, 1]);
+  expect(filtered([])).toEqual([0, 1, 2]);
+});
+
+test("status filters follow the chosen year, no-status and changed toggles", () => {
+  const filtered = (extra) =>
+    filterRows(rows, { portfolios: [], tags: [], statuses: [], query: "", ...extra }).map((r) => r.id);
+  expect(filtered({ statuses: ["delayed"], year: "23/24" })).toEqual([1]);
+  expect(filtered({ statuses: [""] })).toEqual([2]);
+  expect(filtered({ statuses: ["", "started"], year: "23/24" })).toEqual([0, 2]);
+  expect(filtered({ changed: ["23/24", "24/25"] })).toEqual([0, 1]);
+  expect(filtered({ changed: ["23/24", "24/25"], statuses: ["completed"] })).toEqual([1]);
+});
+
+test("chip families match any or all values and honour exclusions", () => {
+  const filtered = (extra) =>
+    filterRows(rows, { portfolios: [], tags: [], statuses: [], query: "", ...extra }).map((r) => r.id);
+  expect(filtered({ portfolios: ["Education", "Labour"] })).toEqual([0, 1]);
+  expect(filtered({ portfolios: ["Education", "Labour"], portfolioMode: "all" })).toEqual([1]);
+  expect(filtered({ notPortfolios: ["labour"] })).toEqual([0, 2]);
+  expect(filtered({ tags: ["climate", "health"], notPortfolios: ["Climate"] })).toEqual([0]);
+});
+
+test("free text ranks across all rows, then keeps what the chips allow", () => {
+  const climate = (r) => r.Portfolio === "Climate";
+  expect(searchRows(rows, "schools", climate).rows.map((r) => r.id)).toEqual([2]);
+  expect(searchRows(rows, "schools").rows.map((r) => r.id)).toContain(2); // same index, no filter
+});
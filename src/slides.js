@@ -0,0 +1,54 @@
+import { groupRows, sortRows } from "./grouping";
+import { filterRows } from "./search";
+import { DEFAULT_T } from "./i18n";
+
+/**
+ * ------------------------------------------------------------------
+ * Presentation slides – the tab / category structure as a deck
+ * ------------------------------------------------------------------
+ * An overview of the presented pillars, then per pillar one slide for
+ * the pillar and one per category (as grouped by ./grouping), every
+ * one with the measures left after the dashboard filters:
+ *   { kind: "overview" | "pillar" | "category", key, pillar, label, items,
+ *     parts: [{ key, label, items }] }
+ * `parts` are what the slide breaks down into – pillars on the overview,
+ * categories on a pillar slide, nothing on a category slide. Pillars
+ * without a matching measure are left out.
+ */
+
+// Auto-advance choices in seconds, 0 = off
+export const ADVANCE_OPTIONS = [0, 10, 20, 30, 60];
+export const toAdvance = (s) => (ADVANCE_OPTIONS.includes(Number(s)) ? Number(s) : 0);
+
+export function buildSlides({ tabs, rowsByTab }, filters, { t = DEFAULT_T } = {}) {
+  const pillars = tabs
+    .map((pillar) => ({ pillar, items: sortRows(filterRows(rowsByTab[pillar] ?? [], filters), "number") }))
+    .filter((p) => p.items.length);
+  if (!pillars.length) return [];
+
+  const overview = {
+    kind: "overview",
+    key: "overview",
+    pillar: "",
+    label: t("present.overview"),
+    items: pillars.flatMap((p) => p.items),
+    parts: pillars.map(({ pillar, items }) => ({ key: pillar, label: pillar, items })),
+  };
+  return [
+    overview,
+    ...pillars.flatMap(({ pillar, items }) => {
+      const categories = groupRows(items, "category", { pillar, t });
+      return [
+        { kind: "pillar", key: pillar, pillar, label: pillar, items, parts: categories },
+        ...categories.map((c) => ({
+          kind: "category",
+          key: `${pillar}|${c.key}`,
+          pillar,
+          label: c.label,
+          items: c.items,
+          parts: [],
+        })),
+      ];
+    }),
+  ];
+}
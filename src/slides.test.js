@@ -0,0 +1,46 @@
+import { buildSlides } from "./slides";
+
+const row = (id, category, measure, portfolio, status) => ({
+  id,
+  Category: category,
+  Measures: measure,
+  Portfolio: portfolio,
+  "24/25": status,
+});
+const model = {
+  tabs: ["Education", "Health"],
+  rowsByTab: {
+    Education: [
+      row(0, "1.2 Teachers", "1.2.1 Train teachers", "Education", "started"),
+      row(1, "1.1 Schools", "1.1.1 Build schools", "Education", "completed"),
+      row(2, "1.1 Schools", "1.1.2 School meals", "Health", "delayed"),
+    ],
+    Health: [row(0, "2.1 Clinics", "2.1.1 Clinics", "Health", "started")],
+  },
+};
+const noFilters = { portfolios: [], tags: [], statuses: [], query: "" };
+
+test("steps from the overview through each pillar and its categories", () => {
+  const slides = buildSlides(model, noFilters);
+  expect(slides.map((s) => [s.kind, s.label])).toEqual([
+    ["overview", "Overview"],
+    ["pillar", "Education"],
+    ["category", "1.1 Schools"],
+    ["category", "1.2 Teachers"],
+    ["pillar", "Health"],
+    ["category", "2.1 Clinics"],
+  ]);
+  expect(slides[0].parts.map((p) => [p.label, p.items.length])).toEqual([
+    ["Education", 3],
+    ["Health", 1],
+  ]);
+  expect(slides[1].parts.map((p) => p.label)).toEqual(["1.1 Schools", "1.2 Teachers"]);
+  expect(slides[2].items.map((r) => r.Measures)).toEqual(["1.1.1 Build schools", "1.1.2 School meals"]);
+});
+
+test("presents only what the filters leave, skipping empty pillars", () => {
+  const slides = buildSlides(model, { ...noFilters, portfolios: ["education"] });
+  expect(slides.map((s) => s.key)).toEqual(["overview", "Education", "Education|1.1", "Education|1.2"]);
+  expect(slides[0].items).toHaveLength(2);
+  expect(buildSlides(model, { ...noFilters, query: "portfolio:finance" })).toEqual([]);
+});
@@ -0,0 +1,77 @@
+/**
+ * ------------------------------------------------------------------
+ * Offline snapshot – last parsed workbook model, kept in IndexedDB
+ * ------------------------------------------------------------------
+ * Every call resolves (never rejects): without IndexedDB (private mode,
+ * old browsers, tests) the dashboard simply runs without a cache.
+ */
+const DB_NAME = "natstrat-dashboard";
+const STORE = "snapshots";
+const LATEST = "latest";
+const SAVED_PREFIX = "saved-";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// ➜ { savedAt: ISO string, model } | null
+export function loadSnapshot(key = LATEST) {
+  return withStore("readonly", (s) => s.get(key)).catch((err) => {
+    console.warn("Snapshot cache unavailable", err);
+    return null;
+  });
+}
+
+export function saveSnapshot(model, key = LATEST, label = "") {
+  const snap = { savedAt: new Date().toISOString(), label, model };
+  return withStore("readwrite", (s) => s.put(snap, key))
+    .then(() => snap)
+    .catch((err) => {
+      console.warn("Could not store snapshot", err);
+      return null;
+    });
+}
+
+/**
+ * Named snapshots the user kept for comparison ("Changes" view), newest
+ * first ➜ [{ key, savedAt, label }]. The rolling per-source copies
+ * ("latest", "latest:<id>", "local") are not listed.
+ */
+export function listSnapshots() {
+  return withStore("readonly", (s) => s.getAllKeys())
+    .then(async (keys) => {
+      const saved = keys.filter((k) => String(k).startsWith(SAVED_PREFIX));
+      const snaps = await Promise.all(saved.map((k) => loadSnapshot(k)));
+      return saved
+        .map((key, i) => ({ key, savedAt: snaps[i]?.savedAt, label: snaps[i]?.label }))
+        .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+    })
+    .catch(() => []);
+}
+
+// Keeps the given model under a new key so it survives later refreshes
+export const keepSnapshot = (model, label) => saveSnapshot(model, `${SAVED_PREFIX}${Date.now()}`, label);
+
+export function deleteSnapshot(key) {
+  return withStore("readwrite", (s) => s.delete(key)).catch(() => null);
+}
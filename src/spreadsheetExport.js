@@ -0,0 +1,117 @@
+import * as XLSX from "xlsx";
+import XLSXStyle from "xlsx-js-style";
+import Papa from "papaparse";
+import { norm, splitList, isYearField, displayFields, downloadFile } from "./helpers";
+import { DEFAULT_VOCAB } from "./statuses";
+import { DEFAULT_LABELS } from "./labels";
+import { DEFAULT_T } from "./i18n";
+import { filterRows } from "./search";
+
+/**
+ * ------------------------------------------------------------------
+ * Excel / CSV export of the (filtered) measures
+ * ------------------------------------------------------------------
+ * Sheets are built with the regular `xlsx` utils; the community build
+ * cannot write cell styles, so the finished workbook is written through
+ * its style-aware fork (xlsx-js-style) to keep the status fills.
+ */
+const HEADER_STYLE = {
+  font: { bold: true, color: { rgb: "FFFFFF" } },
+  fill: { patternType: "solid", fgColor: { rgb: "003399" } },
+  alignment: { vertical: "center", wrapText: true },
+};
+
+const rgb = (hexColour) => hexColour.replace("#", "").toUpperCase();
+
+// Columns of the export – the grid columns plus the Category they are grouped
+// by, optionally with Update / Materials
+function exportFields(rows, includeHidden) {
+  const all = [...new Set(rows.flatMap((r) => Object.keys(r)))].filter((f) => f !== "id");
+  if (includeHidden) return all;
+  const shown = new Set(["Category", ...displayFields(rows)]);
+  return all.filter((f) => shown.has(f));
+}
+
+const cellText = (field, value, labels) =>
+  field === "Portfolio" || field === "Tags" ? labels.list(splitList(value)) : String(value ?? "");
+
+function cellStyle(field, value, { portfolioColours, tagColours, vocab }) {
+  const base = { alignment: { vertical: "top", wrapText: true } };
+  if (isYearField(field)) {
+    const key = norm(String(value ?? ""));
+    if (!vocab.colour(key)) return base;
+    return {
+      ...base,
+      alignment: { ...base.alignment, horizontal: "center" },
+      fill: { patternType: "solid", fgColor: { rgb: rgb(vocab.colour(key)) } },
+      font: vocab.textColour(key) === "#fff" ? { color: { rgb: "FFFFFF" } } : undefined,
+    };
+  }
+  // chip colour of the first portfolio / tag in the cell
+  const colours = field === "Portfolio" ? portfolioColours : field === "Tags" ? tagColours : null;
+  const first = colours && splitList(value)[0];
+  if (first && colours.get(first)) {
+    return { ...base, fill: { patternType: "solid", fgColor: { rgb: rgb(colours.get(first)) } } };
+  }
+  return base;
+}
+
+function pillarSheet(rows, fields, colours) {
+  const ws = XLSX.utils.aoa_to_sheet([fields, ...rows.map((r) => fields.map((f) => cellText(f, r[f], colours.labels)))]);
+  fields.forEach((f, c) => {
+    ws[XLSX.utils.encode_cell({ r: 0, c })].s = HEADER_STYLE;
+    rows.forEach((r, i) => {
+      const cell = ws[XLSX.utils.encode_cell({ r: i + 1, c })];
+      if (cell) cell.s = cellStyle(f, r[f], colours);
+    });
+  });
+  ws["!cols"] = fields.map((f) => ({ wch: f === "Measures" ? 60 : isYearField(f) ? 14 : 28 }));
+  return ws;
+}
+
+// Excel sheet names: ≤ 31 chars, no : \ / ? * [ ], unique
+function sheetName(name, used) {
+  const base = name.replace(/[:\\/?*[\]]/g, " ").slice(0, 31) || "Sheet";
+  let candidate = base;
+  for (let n = 2; used.has(candidate); n++) candidate = `${base.slice(0, 28)} (${n})`;
+  used.add(candidate);
+  return candidate;
+}
+
+const rowsFor = (rowsByTab, t, filters, applyFilters) =>
+  applyFilters ? filterRows(rowsByTab[t], filters) : rowsByTab[t];
+
+/** Multi-sheet .xlsx – one sheet per pillar, status cells filled. */
+export function exportExcel({
+  tabs,
+  rowsByTab,
+  filters,
+  applyFilters,
+  includeHidden,
+  portfolioColours,
+  tagColours,
+  vocab = DEFAULT_VOCAB,
+  labels = DEFAULT_LABELS,
+  t = DEFAULT_T,
+}) {
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+  tabs.forEach((tab) => {
+    const rows = rowsFor(rowsByTab, tab, filters, applyFilters);
+    if (!rows.length) return;
+    const ws = pillarSheet(rows, exportFields(rows, includeHidden), { portfolioColours, tagColours, vocab, labels });
+    XLSX.utils.book_append_sheet(wb, ws, sheetName(tab, used));
+  });
+  if (!wb.SheetNames.length) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([[t("export.empty")]]), t("export.emptySheet"));
+  }
+  XLSXStyle.writeFile(wb, applyFilters ? "strategy_filtered.xlsx" : "strategy_all.xlsx");
+}
+
+/** Flat CSV – every pillar in one table with a leading Pillar column. */
+export function exportCsv({ tabs, rowsByTab, filters, applyFilters, includeHidden, labels = DEFAULT_LABELS }) {
+  const rows = tabs.flatMap((t) => rowsFor(rowsByTab, t, filters, applyFilters).map((r) => ({ Pillar: t, ...r })));
+  const fields = exportFields(rows, includeHidden);
+  const csv = Papa.unparse({ fields, data: rows.map((r) => fields.map((f) => cellText(f, r[f], labels))) });
+  downloadFile(csv, applyFilters ? "strategy_filtered.csv" : "strategy_all.csv", "text/csv;charset=utf-8");
+}
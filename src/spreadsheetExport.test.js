@@ -0,0 +1,48 @@
+import XLSXStyle from "xlsx-js-style";
+import { exportExcel, exportCsv } from "./spreadsheetExport";
+import { downloadFile } from "./helpers";
+
+jest.mock("xlsx-js-style", () => ({ writeFile: jest.fn() }));
+jest.mock("./helpers", () => ({ ...jest.requireActual("./helpers"), downloadFile: jest.fn() }));
+
+const rowsByTab = {
+  Education: [
+    { id: 0, Category: "1.1 Schools", Measures: "1.1.1 Build schools", Portfolio: "education", "24/25": "Completed", "Update 24/25": "done", Materials: "https://x.org" },
+    { id: 1, Category: "1.1 Schools", Measures: "1.1.2 Hire teachers", Portfolio: "finance", "24/25": "delayed" },
+  ],
+  Environment: [{ id: 0, Category: "2.1 Energy", Measures: "2.1.1 Solar", Portfolio: "energy", "24/25": "started" }],
+};
+const base = { tabs: ["Education", "Environment"], rowsByTab, filters: { portfolios: ["education"], tags: [], query: "" } };
+
+beforeEach(() => jest.clearAllMocks());
+
+test("writes one styled sheet per pillar with the filtered rows", () => {
+  exportExcel({ ...base, applyFilters: true, portfolioColours: new Map([["education", "#ABCDEF"]]), tagColours: new Map() });
+  const [wb, filename] = XLSXStyle.writeFile.mock.calls[0];
+  expect(filename).toBe("strategy_filtered.xlsx");
+  expect(wb.SheetNames).toEqual(["Education"]); // Environment has no matches
+  const ws = wb.Sheets.Education;
+  expect(ws.A1.v).toBe("Category");
+  expect(ws.D2).toMatchObject({ v: "Completed", s: { fill: { fgColor: { rgb: "11734B" } }, font: { color: { rgb: "FFFFFF" } } } });
+  expect(ws.C2).toMatchObject({ v: "Education", s: { fill: { fgColor: { rgb: "ABCDEF" } } } });
+  expect(ws.E1).toBeUndefined(); // Update / Materials left out by default
+});
+
+test("adds the hidden columns on request and keeps every pillar unfiltered", () => {
+  exportExcel({ ...base, applyFilters: false, includeHidden: true, portfolioColours: new Map(), tagColours: new Map() });
+  const [wb] = XLSXStyle.writeFile.mock.calls[0];
+  expect(wb.SheetNames).toEqual(["Education", "Environment"]);
+  expect(["E1", "F1"].map((c) => wb.Sheets.Education[c].v)).toEqual(["Update 24/25", "Materials"]);
+});
+
+test("flattens all pillars into one CSV with a Pillar column", () => {
+  exportCsv({ ...base, applyFilters: false });
+  const [csv, filename] = downloadFile.mock.calls[0];
+  expect(filename).toBe("strategy_all.csv");
+  expect(csv.split("\r\n")).toEqual([
+    "Pillar,Category,Measures,Portfolio,24/25",
+    "Education,1.1 Schools,1.1.1 Build schools,Education,Completed",
+    "Education,1.1 Schools,1.1.2 Hire teachers,Finance,delayed",
+    "Environment,2.1 Energy,2.1.1 Solar,Energy,started",
+  ]);
+});
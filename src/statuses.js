@@ -0,0 +1,133 @@
+import { FALLBACK_BG, norm, title, trim, hex, splitList, textOn } from "./helpers.js";
+import { DEFAULT_T } from "./i18n.js";
+
+/**
+ * ------------------------------------------------------------------
+ * Status vocabulary – names, colours, order, synonyms and weights
+ * ------------------------------------------------------------------
+ * Read from the Config sheet (columns F–J, see `parseStatusConfig`); the
+ * built-in list below applies when that section is empty. Entries are
+ * plain objects so they travel with the model into offline snapshots:
+ *   { key, name, colour, weight, synonyms, attention }
+ * `key` is the normalised name, `weight` the share of completion (0–1)
+ * or null when the status does not count towards progress; `attention`
+ * marks statuses a measure should not stay in (delayed, abandoned …).
+ */
+
+const status = (name, colour, weight, synonyms = [], attention = false) => ({
+  key: norm(name),
+  name,
+  colour,
+  weight,
+  synonyms,
+  attention,
+});
+
+export const DEFAULT_STATUSES = [
+  status("Not started", "#e6e6e6", 0, ["not yet started"]),
+  status("Started", "#ffd360", 0.25, ["in progress", "ongoing"]),
+  status("Maintained", "#bfe1f6", 1),
+  status("Delayed", "#ff9689", 0.25, [], true),
+  status("On track", "#d4edbc", 0.5),
+  status("Nearly completed", "#98d55e", 0.75),
+  status("Abandoned", "#3d3d3d", null, [], true),
+  status("Completed", "#11734b", 1, ["done", "complete"]),
+];
+
+// "50%" and "0.5" both mean half done; blank = not counted. Only a "%"
+// makes a percentage – a bare "2" stays 2 and is reported by validation.
+export function parseWeight(v) {
+  const s = trim(String(v ?? ""));
+  if (!s) return null;
+  const n = parseFloat(s.replace(",", "."));
+  if (!Number.isFinite(n) || n < 0) return undefined; // invalid – reported by validation
+  return s.endsWith("%") ? n / 100 : n;
+}
+
+/**
+ * Config columns (same rows as the tag / portfolio lists):
+ *  F | Status name – in display order
+ *  G | Status colour (hex)
+ *  H | Completion weight (0–1 or a percentage with "%"; blank = excluded)
+ *  I | Synonyms, comma-separated ("in progress, ongoing")
+ *  J | Needs attention – any mark ("x", "yes") or "no"; blank = as built in
+ *      (Delayed and Abandoned, by name or synonym)
+ */
+export const ATTENTION_KEYS = ["delayed", "abandoned"];
+const NO_MARK = ["no", "nein", "false", "0"];
+
+function needsAttention(mark, name, synonyms) {
+  const m = norm(String(mark ?? ""));
+  if (m) return !NO_MARK.includes(m);
+  return [norm(name), ...synonyms].some((k) => ATTENTION_KEYS.includes(k));
+}
+
+// out of range counts like blank – validation tells the editors
+const validWeight = (w) => (w === undefined || w > 1 ? null : w);
+
+export function parseStatusConfig(cfgRows) {
+  const list = cfgRows
+    .filter(({ cells }) => trim(String(cells[5] ?? "")))
+    .map(({ cells }) => {
+      const colour = trim(String(cells[6] ?? ""));
+      const name = trim(String(cells[5]));
+      const synonyms = splitList(cells[8]);
+      return status(
+        name,
+        colour ? hex(colour) : FALLBACK_BG,
+        validWeight(parseWeight(cells[7])),
+        synonyms,
+        needsAttention(cells[9], name, synonyms)
+      );
+    });
+  return list.length ? list : DEFAULT_STATUSES;
+}
+
+// "nearly completed" ➜ "status-nearly-completed"
+export const statusClass = (key) => `status-${key.replace(/[^a-z0-9]+/g, "-")}`;
+
+/**
+ * Look-ups over a status list – build once per model and UI language.
+ * Status names are sheet content and shown as written in Config; only the
+ * "no status" label comes from the dictionary.
+ */
+export function statusVocabulary(list = DEFAULT_STATUSES, t = DEFAULT_T) {
+  const byKey = new Map(list.map((s) => [s.key, s]));
+  const aliases = new Map(list.flatMap((s) => s.synonyms.map((syn) => [syn, s.key])));
+  return {
+    list,
+    has: (key) => byKey.has(key),
+    // raw cell ➜ status key, synonyms resolved ("In progress" ➜ "started")
+    canonical: (raw) => {
+      const key = norm(String(raw ?? ""));
+      return byKey.has(key) ? key : aliases.get(key) ?? key;
+    },
+    name: (key) => byKey.get(key)?.name,
+    label: (key) => (key ? byKey.get(key)?.name ?? title(key) : t("status.none")),
+    colour: (key) => byKey.get(key)?.colour,
+    textColour: (key) => textOn(byKey.get(key)?.colour),
+    weight: (key) => byKey.get(key)?.weight ?? null,
+    // snapshots saved before column J carry no mark – built-in keys then
+    attention: (key) => byKey.get(key)?.attention ?? (byKey.has(key) && ATTENTION_KEYS.includes(key)),
+    rank: (key) => (byKey.has(key) ? list.indexOf(byKey.get(key)) : list.length),
+  };
+}
+
+export const DEFAULT_VOCAB = statusVocabulary();
+
+/** `sx` entries colouring the `statusClass` cells of a DataGrid. */
+export const statusSx = (vocab) =>
+  Object.fromEntries(
+    vocab.list.map((s) => [`& .${statusClass(s.key)}`, { bgcolor: s.colour, color: vocab.textColour(s.key) }])
+  );
+
+/**
+ * Weighted completion (0–100) of `rows` in one yearly column; measures
+ * without a status or with an unweighted one (e.g. abandoned) are left
+ * out. null when nothing counts.
+ */
+export function percentComplete(rows, year, vocab = DEFAULT_VOCAB) {
+  const weights = rows.map((r) => vocab.weight(norm(String(r[year] ?? "")))).filter((w) => w !== null);
+  if (!weights.length) return null;
+  return Math.round((weights.reduce((a, b) => a + b, 0) / weights.length) * 100);
+}
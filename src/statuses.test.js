@@ -0,0 +1,46 @@
+import {
+  DEFAULT_VOCAB,
+  parseStatusConfig,
+  parseWeight,
+  percentComplete,
+  statusClass,
+  statusSx,
+  statusVocabulary,
+} from "./statuses";
+import { isDark } from "./helpers";
+
+test("reads weights as fractions, or as percentages only with a % sign", () => {
+  expect([parseWeight("0.5"), parseWeight("50%"), parseWeight("1"), parseWeight("")]).toEqual([0.5, 0.5, 1, null]);
+  expect(parseWeight("2")).toBe(2); // not 2 % – out of range for validation to report
+  const weights = ["2", "50%", "0.5"].map((w, i) => ({ cells: ["", "", "", "", "", `Status ${i}`, "", w] }));
+  expect(parseStatusConfig(weights).map((s) => s.weight)).toEqual([null, 0.5, 0.5]);
+  expect(parseWeight("soon")).toBeUndefined();
+});
+
+test("resolves synonyms and keeps the configured order", () => {
+  const vocab = statusVocabulary([
+    { key: "done", name: "Done", colour: "#222222", weight: 1, synonyms: ["finished"] },
+    { key: "open", name: "Open", colour: "#ffffff", weight: 0, synonyms: [] },
+  ]);
+  expect(vocab.canonical(" Finished ")).toBe("done");
+  expect(vocab.canonical("Postponed")).toBe("postponed");
+  expect([vocab.rank("open"), vocab.rank("done"), vocab.rank("other")]).toEqual([1, 0, 2]);
+  expect([vocab.textColour("done"), vocab.textColour("open")]).toEqual(["#fff", "#000"]);
+  expect(statusSx(vocab)).toEqual({
+    "& .status-done": { bgcolor: "#222222", color: "#fff" },
+    "& .status-open": { bgcolor: "#ffffff", color: "#000" },
+  });
+});
+
+test("builds class names and contrast from any hex", () => {
+  expect(statusClass("nearly completed")).toBe("status-nearly-completed");
+  expect([isDark("#11734b"), isDark("#3d3d3d"), isDark("#ffd360"), isDark("fff"), isDark("nope")]).toEqual([
+    true, true, false, false, false,
+  ]);
+});
+
+test("averages completion weights, leaving out blank and unweighted statuses", () => {
+  const rows = ["Completed", "started", "Not started", "abandoned", ""].map((s) => ({ "24/25": s }));
+  expect(percentComplete(rows, "24/25", DEFAULT_VOCAB)).toBe(42); // (1 + .25 + 0) / 3
+  expect(percentComplete([{ "24/25": "" }], "24/25")).toBeNull();
+});
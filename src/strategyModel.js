@@ -0,0 +1,135 @@
+import * as XLSX from "xlsx";
+import { norm, splitList, isYearField, categoryKey, measureKey } from "./helpers.js";
+import { parseWorkbook } from "./workbook.js";
+import { DEFAULT_LANG, MessageError, localizeRow } from "./i18n.js";
+
+/**
+ * ------------------------------------------------------------------
+ * Strategy model – the workbook as plain, versioned JSON
+ * ------------------------------------------------------------------
+ * Framework-free: used by the dashboard (uploaded snapshots) and by
+ * `scripts/snapshot.mjs`, which runs it in Node. This module and
+ * everything it imports therefore use full "./x.js" specifiers.
+ *
+ * `normalizeModel` turns the dashboard model of ./workbook into the
+ * typed shape below, `dashboardModel` turns it back – losslessly, so a
+ * snapshot renders exactly like the workbook it came from.
+ */
+
+export const MODEL_FORMAT = "natstrat-model";
+export const MODEL_VERSION = 1;
+
+/**
+ * @typedef {{ key: string, name: string, colour: string|null }} Label  portfolio or tag
+ * @typedef {{ key: string, name: string, colour: string, weight: number|null, synonyms: string[] }} Status
+ * @typedef {{ key: string, name: string|null }} Category  key = "3.2" ("—" unnumbered)
+ * @typedef {Object} Measure
+ * @property {number} id            row index within its sheet
+ * @property {string} key           measure number ("1.2.3") or normalised text
+ * @property {string} text          Measures column (English where bilingual)
+ * @property {string} category      Category key
+ * @property {string[]} portfolios  Label keys
+ * @property {string[]} tags        Label keys
+ * @property {Object<string, string>} statuses  year ("24/25") ➜ status key, "" = none
+ * @property {Object<string, *>} fields         every column as read
+ * @typedef {{ name: string, categories: Category[], measures: Measure[] }} Pillar
+ * @typedef {Object} StrategyModel
+ * @property {Pillar[]} pillars     in sheet order
+ * @property {Status[]} statuses    in Config order
+ * @property {Label[]} portfolios
+ * @property {Label[]} tags
+ * @property {{ text: string, label: string }[]} labelOverrides
+ * @property {Object<string, string>} branding  Config settings (see ./branding)
+ * @property {{ level: string, sheet: string, row: number|null, key: string, vars: Object, message: string }[]} issues
+ */
+
+// Config names ➜ labels; the colour map is keyed by the normalised name
+const toLabels = (names, colours) => names.map((name) => ({ key: norm(name), name, colour: colours.get(norm(name)) ?? null }));
+
+function toMeasure({ id, ...fields }) {
+  const text = localizeRow(fields, DEFAULT_LANG);
+  return {
+    id,
+    key: measureKey(text),
+    text: text.Measures ?? "",
+    category: categoryKey(text),
+    portfolios: splitList(fields.Portfolio),
+    tags: splitList(fields.Tags),
+    statuses: Object.fromEntries(
+      Object.keys(fields)
+        .filter(isYearField)
+        .map((year) => [year, norm(String(fields[year] ?? ""))])
+    ),
+    fields,
+  };
+}
+
+// First-seen order; the name is the first Category cell of the bucket
+function toCategories(measures) {
+  const byKey = new Map();
+  measures.forEach((m) => {
+    const name = localizeRow(m.fields, DEFAULT_LANG).Category || null;
+    if (!byKey.has(m.category)) byKey.set(m.category, { key: m.category, name });
+    else if (!byKey.get(m.category).name) byKey.get(m.category).name = name;
+  });
+  return [...byKey.values()];
+}
+
+/** Dashboard model (see ./workbook) ➜ StrategyModel. */
+export function normalizeModel(m) {
+  return {
+    pillars: m.tabs.map((name) => {
+      const measures = m.rowsByTab[name].map(toMeasure);
+      return { name, categories: toCategories(measures), measures };
+    }),
+    statuses: m.statuses,
+    portfolios: toLabels(m.portfolioOptions, m.portfolioColours),
+    tags: toLabels(m.tagOptions, m.tagColours),
+    labelOverrides: m.labelOverrides,
+    branding: m.branding,
+    issues: m.issues,
+  };
+}
+
+const colourMap = (labels) => new Map(labels.filter((l) => l.colour).map((l) => [l.key, l.colour]));
+
+/** StrategyModel ➜ the model the dashboard renders and caches. */
+export function dashboardModel(s) {
+  return {
+    tabs: s.pillars.map((p) => p.name),
+    rowsByTab: Object.fromEntries(s.pillars.map((p) => [p.name, p.measures.map((m) => ({ id: m.id, ...m.fields }))])),
+    portfolioOptions: s.portfolios.map((l) => l.name),
+    tagOptions: s.tags.map((l) => l.name),
+    portfolioColours: colourMap(s.portfolios),
+    tagColours: colourMap(s.tags),
+    statuses: s.statuses,
+    labelOverrides: s.labelOverrides,
+    branding: s.branding ?? {}, // added after the first snapshots
+    issues: s.issues,
+  };
+}
+
+/** .xlsx / .ods bytes (ArrayBuffer, Uint8Array or Node Buffer) ➜ StrategyModel. */
+export function parseStrategy(bytes) {
+  return normalizeModel(parseWorkbook(XLSX.read(bytes, { type: "array" })));
+}
+
+/** Snapshot file: { format, version, generatedAt, source, model }. */
+export const snapshotToJson = (model, { source = "", generatedAt = new Date().toISOString() } = {}) =>
+  JSON.stringify({ format: MODEL_FORMAT, version: MODEL_VERSION, generatedAt, source, model }, null, 2);
+
+export function readSnapshotJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new MessageError("source.notJson");
+  }
+  if (data?.format !== MODEL_FORMAT || !Array.isArray(data.model?.pillars)) {
+    throw new MessageError("source.notSnapshot");
+  }
+  if (data.version > MODEL_VERSION) {
+    throw new MessageError("source.newerSnapshot", { version: data.version, max: MODEL_VERSION });
+  }
+  return data;
+}
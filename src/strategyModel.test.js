@@ -0,0 +1,79 @@
+import { parseWorkbook } from "./workbook";
+import {
+  MODEL_VERSION,
+  dashboardModel,
+  normalizeModel,
+  parseStrategy,
+  readSnapshotJson,
+  snapshotToJson,
+} from "./strategyModel";
+import { strategyWorkbook, strategyWorkbookBytes } from "./fixtures/strategyWorkbook";
+
+test("reads pillars, categories and measures from the fixture workbook", () => {
+  const { pillars } = parseStrategy(strategyWorkbookBytes());
+  expect(pillars.map((p) => p.name)).toEqual(["Learning", "Care"]); // Introduction / Config ignored
+  const [learning, care] = pillars;
+  expect(learning.categories).toEqual([
+    { key: "1.1", name: "1.1 Schools" },
+    { key: "—", name: null },
+  ]);
+  expect(learning.measures[1]).toMatchObject({
+    id: 1,
+    key: "1.1.2",
+    text: "1.1.2 Train teachers",
+    category: "1.1",
+    portfolios: ["education", "health"],
+    tags: [],
+    statuses: { "23/24": "", "24/25": "delayed" },
+  });
+  expect(learning.measures[2].key).toBe("measure without number");
+  // bilingual columns: English text, German where nothing else is written
+  expect(care.categories).toEqual([{ key: "2.1", name: "2.1 Clinics" }]);
+  expect(care.measures.map((m) => [m.key, m.text])).toEqual([
+    ["2.1.1", "2.1.1 Open clinics"],
+    ["2.1.2", "2.1.2 Nur deutsch"],
+  ]);
+});
+
+test("resolves status synonyms and keeps Config names as written", () => {
+  const model = parseStrategy(strategyWorkbookBytes());
+  expect(model.pillars[0].measures[0].statuses).toEqual({ "23/24": "started", "24/25": "completed" });
+  expect(model.statuses.map((s) => [s.key, s.weight])).toEqual([
+    ["not started", 0],
+    ["started", 0.25],
+    ["delayed", 0.25],
+    ["completed", 1],
+  ]);
+  expect(model.portfolios).toEqual([
+    { key: "education", name: "Education", colour: "#1a237e" },
+    { key: "health", name: "Health", colour: null },
+  ]);
+  expect(model.tags.map((tag) => tag.name)).toEqual(["EU funds", "climate"]);
+  expect(model.labelOverrides).toEqual([{ text: "eu", label: "EU" }]);
+  expect(model.branding).toEqual({ title: "Learning & Care Strategy", primary: "#0b6e4f" });
+  expect(model.issues.map((i) => [i.sheet, i.row, i.message])).toEqual([
+    ["Learning", 5, "Measure “Measure without number” has no numeric x.y prefix"],
+  ]);
+});
+
+test("converts back to the dashboard model without loss", () => {
+  const parsed = parseWorkbook(strategyWorkbook());
+  expect(dashboardModel(normalizeModel(parsed))).toEqual(parsed);
+});
+
+test("round-trips through a versioned JSON snapshot", () => {
+  const model = parseStrategy(strategyWorkbookBytes());
+  const json = snapshotToJson(model, { source: "strategy.xlsx", generatedAt: "2025-01-01T00:00:00.000Z" });
+  expect(readSnapshotJson(json)).toEqual({
+    format: "natstrat-model",
+    version: MODEL_VERSION,
+    generatedAt: "2025-01-01T00:00:00.000Z",
+    source: "strategy.xlsx",
+    model,
+  });
+  expect(() => readSnapshotJson("{")).toThrow("not valid JSON");
+  expect(() => readSnapshotJson('{"format":"natstrat-views"}')).toThrow("not a strategy snapshot");
+  expect(() => readSnapshotJson(JSON.stringify({ ...JSON.parse(json), version: MODEL_VERSION + 1 }))).toThrow(
+    "format version"
+  );
+});
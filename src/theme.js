@@ -0,0 +1,13 @@
+import { createTheme } from "@mui/material/styles";
+import { DEFAULT_BRANDING } from "./branding";
+
+/** Branding (see ./branding) ➜ MUI theme of the whole app. */
+export const brandTheme = (branding = DEFAULT_BRANDING) =>
+  createTheme({
+    palette: {
+      mode: "light",
+      primary: { main: branding.primary },
+      secondary: { main: branding.secondary },
+      background: { default: branding.background },
+    },
+  });
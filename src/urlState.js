@@ -0,0 +1,135 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * ------------------------------------------------------------------
+ * Deep links – dashboard state ⇄ URL hash
+ * ------------------------------------------------------------------
+ * The state lives in the hash (#tab=Education&portfolio=…&q=…) so links
+ * work on GitHub Pages without server-side routing. Tabs are addressed by
+ * sheet name, multi-value filters repeat their key; `view` is omitted for
+ * the default tables view, `group` / `sort` for their defaults. `status`
+ * holds the selected status keys (empty value = no status recorded) for
+ * `year` (omitted = latest); `changed` repeats twice, from and to year.
+ * Excluded chips go to `portfolio-not` / `tag-not`, `portfolio-mode` /
+ * `tag-mode` are only written for "all". `measure`
+ * (sheet:number) opens the detail drawer; `tab=*` is the "All" tab.
+ * `card` is the portfolio shown by the scorecards view. `present=1` opens
+ * the presentation, `advance` its auto-advance seconds (kiosk links).
+ * `embed`, `chrome` and the repeated `column` shape an embedded widget (see
+ * ./embed); `title`, `logo`, `primary`, `secondary` and `background`
+ * override the branding (see ./branding) and are read as `brand`.
+ * `lang` is the UI / content language, omitted for English.
+ */
+
+const BRAND_PARAMS = ["title", "logo", "primary", "secondary", "background"];
+
+export function parseHash(hash = window.location.hash) {
+  const params = new URLSearchParams(hash.replace(/^#\/?/, ""));
+  return {
+    view: params.get("view") || "",
+    card: params.get("card") || "",
+    lang: params.get("lang") || "",
+    tab: params.get("tab") || "",
+    portfolios: params.getAll("portfolio"),
+    tags: params.getAll("tag"),
+    notPortfolios: params.getAll("portfolio-not"),
+    notTags: params.getAll("tag-not"),
+    portfolioMode: params.get("portfolio-mode") === "all" ? "all" : "any",
+    tagMode: params.get("tag-mode") === "all" ? "all" : "any",
+    statuses: params.getAll("status"),
+    year: params.get("year") || "",
+    changed: params.getAll("changed").slice(0, 2),
+    query: params.get("q") || "",
+    measure: params.get("measure") || "",
+    group: params.get("group") || "",
+    sort: params.get("sort") || "",
+    present: params.get("present") || "",
+    advance: params.get("advance") || "",
+    embed: params.get("embed") || "",
+    chrome: params.get("chrome") || "",
+    columns: params.getAll("column"),
+    brand: Object.fromEntries(BRAND_PARAMS.map((k) => [k, params.get(k) || ""])),
+  };
+}
+
+export function buildHash({
+  view,
+  card = "",
+  lang = "",
+  tab,
+  portfolios = [],
+  tags = [],
+  notPortfolios = [],
+  notTags = [],
+  portfolioMode = "any",
+  tagMode = "any",
+  statuses = [],
+  year = "",
+  changed = [],
+  query = "",
+  measure = "",
+  group = "",
+  sort = "",
+  present = "",
+  advance = "",
+  embed = "",
+  chrome = "",
+  columns = [],
+  brand = {},
+}) {
+  const params = new URLSearchParams();
+  if (view) params.set("view", view);
+  if (card) params.set("card", card);
+  if (lang) params.set("lang", lang);
+  if (tab) params.set("tab", tab);
+  portfolios.forEach((p) => params.append("portfolio", p));
+  tags.forEach((t) => params.append("tag", t));
+  notPortfolios.forEach((p) => params.append("portfolio-not", p));
+  notTags.forEach((t) => params.append("tag-not", t));
+  if (portfolioMode === "all") params.set("portfolio-mode", "all");
+  if (tagMode === "all") params.set("tag-mode", "all");
+  statuses.forEach((s) => params.append("status", s));
+  if (year) params.set("year", year);
+  changed.forEach((y) => params.append("changed", y));
+  if (query) params.set("q", query);
+  if (measure) params.set("measure", measure);
+  if (group) params.set("group", group);
+  if (sort) params.set("sort", sort);
+  if (present) params.set("present", present);
+  if (advance) params.set("advance", advance);
+  if (embed) params.set("embed", embed);
+  if (chrome) params.set("chrome", chrome);
+  columns.forEach((c) => params.append("column", c));
+  BRAND_PARAMS.forEach((k) => brand[k] && params.set(k, brand[k]));
+  const str = params.toString();
+  return str ? `#${str}` : "";
+}
+
+/**
+ * Keeps the URL in sync with `state` and calls `onNavigate` with the parsed
+ * state whenever the user moves through history (back / forward / edited
+ * hash). Typing in the search box replaces the current entry instead of
+ * pushing one per keystroke. Nothing is written until `enabled`.
+ */
+export function useUrlSync(state, onNavigate, enabled = true) {
+  const hash = buildHash(state);
+  const withoutQuery = buildHash({ ...state, query: "" });
+  const lastKey = useRef(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+    if (hash !== window.location.hash) {
+      const url = `${window.location.pathname}${window.location.search}${hash}`;
+      // first sync (normalising the landing URL) or typing ➜ replace
+      const replace = lastKey.current === null || lastKey.current === withoutQuery;
+      window.history[replace ? "replaceState" : "pushState"](null, "", url);
+    }
+    lastKey.current = withoutQuery;
+  }, [hash, withoutQuery, enabled]);
+
+  useEffect(() => {
+    const onPop = () => onNavigate(parseHash());
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [onNavigate]);
+}
@@ -0,0 +1,59 @@
+import { parseHash, buildHash } from "./urlState";
+
+test("round-trips tab, filters and search through the hash", () => {
+  const state = {
+    view: "scorecards",
+    card: "ministry of education",
+    lang: "de",
+    tab: "Education & Youth",
+    portfolios: ["Ministry of Education", "Health, Care"],
+    tags: ["climate"],
+    notPortfolios: ["Finance"],
+    notTags: ["blue"],
+    portfolioMode: "all",
+    tagMode: "any",
+    statuses: ["nearly completed", "", "delayed"],
+    year: "24/25",
+    changed: ["23/24", "24/25"],
+    query: "school meals",
+    measure: "Education & Youth:1.2.3",
+    group: "portfolio",
+    sort: "status",
+    present: "1",
+    advance: "30",
+    embed: "1",
+    chrome: "0",
+    columns: ["Measures", "24/25"],
+    brand: { title: "Partner view", logo: "https://example.org/logo.png", primary: "#0b6e4f", secondary: "", background: "" },
+  };
+  expect(parseHash(buildHash(state))).toEqual(state);
+});
+
+test("empty state gives an empty hash and defaults", () => {
+  expect(buildHash({ view: "", tab: "", portfolios: [], tags: [], query: "" })).toBe("");
+  expect(parseHash("")).toEqual({
+    view: "",
+    card: "",
+    lang: "",
+    tab: "",
+    portfolios: [],
+    tags: [],
+    notPortfolios: [],
+    notTags: [],
+    portfolioMode: "any",
+    tagMode: "any",
+    statuses: [],
+    year: "",
+    changed: [],
+    query: "",
+    measure: "",
+    group: "",
+    sort: "",
+    present: "",
+    advance: "",
+    embed: "",
+    chrome: "",
+    columns: [],
+    brand: { title: "", logo: "", primary: "", secondary: "", background: "" },
+  });
+});
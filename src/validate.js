@@ -0,0 +1,105 @@
+import { trim, norm, splitList, isYearField } from "./helpers.js";
+import { parseWeight, statusVocabulary } from "./statuses.js";
+import { DEFAULT_LANG, DEFAULT_T, localizeRow } from "./i18n.js";
+import { BRANDING_SETTINGS, COLOUR_FIELDS, brandingValue } from "./branding.js";
+
+/**
+ * ------------------------------------------------------------------
+ * Data quality – checks run on every load, shown in "Data issues"
+ * ------------------------------------------------------------------
+ * Issue: { level: "error" | "warning", sheet, row, key, vars, message }
+ * `row` is the 1-based spreadsheet row (null for sheet-wide problems);
+ * `key` / `vars` name the "issues.*" text of the UI dictionary, `message`
+ * is it in English (see MessageError in ./i18n).
+ */
+
+const HEX_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const issue = (level, sheet, row, key, vars = {}) => ({
+  level,
+  sheet,
+  row,
+  key: `issues.${key}`,
+  vars,
+  message: DEFAULT_T(`issues.${key}`, vars),
+});
+
+function checkConfig(cfgRows, issues) {
+  cfgRows.forEach(({ cells, rowNum }) => {
+    const warn = (key, vars) => issues.push(issue("warning", "Config", rowNum, key, vars));
+    [
+      [1, "tagColour"],
+      [3, "portfolioColour"],
+      [6, "statusColour"],
+    ].forEach(([col, key]) => {
+      const value = trim(String(cells[col] ?? ""));
+      if (value && !HEX_RE.test(value)) warn(key, { value });
+    });
+    const [text, label] = [10, 11].map((col) => trim(String(cells[col] ?? "")));
+    if (Boolean(text) !== Boolean(label)) warn("override", { text: text || label });
+    const weight = parseWeight(cells[7]);
+    if (weight === undefined || weight > 1) warn("weight", { value: trim(String(cells[7])) });
+    const [setting, value] = [13, 14].map((col) => trim(String(cells[col] ?? "")));
+    const field = BRANDING_SETTINGS[norm(setting)];
+    if (value && !field) warn("brandingSetting", { setting });
+    else if (value && brandingValue(field, value) === null)
+      warn(COLOUR_FIELDS.includes(field) ? "brandingColour" : "brandingUrl", { setting, value });
+  });
+}
+
+function checkSheet(sheet, { headers, body }, { portfolios, tags, vocab }, issues) {
+  const warn = (row, key, vars) => issues.push(issue("warning", sheet, row, key, vars));
+
+  if (!headers) {
+    issues.push(issue("error", sheet, null, "noHeader"));
+    return;
+  }
+  const col = (name) => headers.findIndex((h) => norm(String(h)) === norm(name));
+  const measureCol = headers.findIndex((h) => /measure/i.test(String(h)));
+  const portfolioCol = col("Portfolio");
+  const tagsCol = col("Tags");
+  const yearCols = headers.map((h, i) => (isYearField(h) ? i : -1)).filter((i) => i >= 0);
+  if (!yearCols.length) warn(null, "noYears");
+
+  const seen = new Map(); // measure number ➜ first row
+  body.forEach(({ cells, rowNum }) => {
+    const cell = (i) => (i >= 0 ? trim(String(cells[i] ?? "")) : "");
+    const row = localizeRow(Object.fromEntries(headers.map((h, i) => [h, cell(i)])), DEFAULT_LANG);
+    const measure = trim(String(row.Measures ?? cell(measureCol))); // "Measures (DE)" when (EN) is blank
+
+    const num = measure.match(/^(\d+(?:\.\d+)+)/)?.[1]; // same rule as measureKey()
+    if (!num) warn(rowNum, "noNumber", { measure: measure.slice(0, 60) });
+    if (num && seen.has(num)) warn(rowNum, "duplicate", { num, first: seen.get(num) });
+    else if (num) seen.set(num, rowNum);
+
+    yearCols.forEach((i) => {
+      const status = vocab.canonical(cell(i));
+      if (status && !vocab.has(status)) warn(rowNum, "unknownStatus", { status: cell(i), year: headers[i] });
+    });
+
+    splitList(cell(portfolioCol))
+      .filter((p) => !portfolios.has(p))
+      .forEach((name) => warn(rowNum, "unknownPortfolio", { name }));
+    splitList(cell(tagsCol))
+      .filter((t) => !tags.has(t))
+      .forEach((name) => warn(rowNum, "unknownTag", { name }));
+  });
+}
+
+/**
+ * `sheets` = { name ➜ readSheet() result }, `cfgRows` = Config body rows,
+ * `config` = parsed Config look-ups.
+ */
+export function validateSheets({ sheets, cfgRows, hasConfig, config }) {
+  const issues = [];
+  if (!hasConfig) issues.push(issue("error", "Config", null, "noConfig"));
+  checkConfig(cfgRows, issues);
+
+  const declared = {
+    portfolios: new Set(config.portfolioOptions.map(norm)),
+    tags: new Set(config.tagOptions.map(norm)),
+    vocab: statusVocabulary(config.statuses),
+  };
+  Object.entries(sheets).forEach(([name, sheet]) => checkSheet(name, sheet, declared, issues));
+  return issues;
+}
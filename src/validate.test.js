@@ -0,0 +1,120 @@
+import * as XLSX from "xlsx";
+import { parseWorkbook } from "./workbook";
+import { messageText, translator } from "./i18n";
+
+function workbook() {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Tags | colour | Portfolios | colour"],
+      ["climate", "00ff00", "Education", "#zz0000"],
+    ]),
+    "Config"
+  );
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Pillar one"],
+      ["Category", "Measures", "Portfolio", "Tags", "24/25"],
+      ["1.1 Schools", "1.1.1 Build schools", "Education", "climate", "started"],
+      ["1.1 Schools", "1.1.1 Build more schools", "Health", "oceans", "postponed"],
+      ["", "Measure without number", "Education", "", ""],
+    ]),
+    "Pillar"
+  );
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["no header here"]]), "Broken");
+  return wb;
+}
+
+test("reports issues with sheet and spreadsheet row instead of crashing", () => {
+  const { rowsByTab, issues } = parseWorkbook(workbook());
+  expect(rowsByTab.Broken).toEqual([]);
+  expect(issues.map((i) => [i.level, i.sheet, i.row, i.message])).toEqual([
+    ["warning", "Config", 2, "Portfolio colour “#zz0000” is not a valid hex colour"],
+    ["warning", "Pillar", 4, "Duplicate measure number 1.1.1 (also in row 3)"],
+    ["warning", "Pillar", 4, "Unknown status “postponed” in 24/25"],
+    ["warning", "Pillar", 4, "Portfolio “health” is not declared in Config"],
+    ["warning", "Pillar", 4, "Tag “oceans” is not declared in Config"],
+    ["warning", "Pillar", 5, "Measure “Measure without number” has no numeric x.y prefix"],
+    ["error", "Broken", null, "No header row found (expected a column named “Measures”)"],
+  ]);
+});
+
+test("wants the number on the measure itself, not just on its category", () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Category", "Subcategory", "Measures", "24/25"],
+      ["1.1 Schools", "1.1.1 Buildings", "Build schools", ""],
+      ["1.1 Schools", "", "1.1.2 Hire teachers", ""],
+    ]),
+    "Pillar"
+  );
+  const issues = parseWorkbook(wb).issues.filter((i) => i.sheet === "Pillar");
+  expect(issues.map((i) => [i.row, i.message])).toEqual([
+    [2, "Measure “Build schools” has no numeric x.y prefix"],
+  ]);
+});
+
+test("checks statuses against the Config vocabulary, synonyms included", () => {
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Tags | colour | Portfolios | colour | | Status | colour | weight | synonyms"],
+      ["", "", "", "", "", "Postponed", "#ccc", "2", ""], // a fraction, not 2 %
+      ["", "", "", "", "", "Running", "nope", "150%", "in progress, wip"],
+    ]),
+    "Config"
+  );
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["Category", "Measures", "24/25", "25/26"],
+      ["1.1 Schools", "1.1.1 Build schools", "WIP", "postponed"],
+      ["1.1 Schools", "1.1.2 Hire teachers", "started", ""],
+    ]),
+    "Pillar"
+  );
+  const { rowsByTab, statuses, issues } = parseWorkbook(wb);
+  expect(statuses.map((s) => s.key)).toEqual(["postponed", "running"]);
+  expect(rowsByTab.Pillar[0]["24/25"]).toBe("Running"); // synonym ➜ status name
+  expect(issues.map((i) => [i.sheet, i.row, i.message])).toEqual([
+    ["Config", 2, "Status weight “2” is not between 0 and 1 (or 0–100%)"],
+    ["Config", 3, "Status colour “nope” is not a valid hex colour"],
+    ["Config", 3, "Status weight “150%” is not between 0 and 1 (or 0–100%)"],
+    ["Pillar", 3, "Unknown status “started” in 24/25"],
+  ]);
+});
+
+test("checks the branding settings of Config", () => {
+  const wb = XLSX.utils.book_new();
+  const brandingRow = (setting, value) => [...Array(13).fill(""), setting, value];
+  XLSX.utils.book_append_sheet(
+    wb,
+    XLSX.utils.aoa_to_sheet([
+      ["… | Setting | Value"],
+      brandingRow("Title", "Partner dashboard"),
+      brandingRow("Primary colour", "blue"),
+      brandingRow("Logo", "ftp://example.org/logo.png"),
+      brandingRow("Font", "Comic Sans"),
+    ]),
+    "Config"
+  );
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([["Measures"], ["1.1.1 Build schools"]]), "Pillar");
+  const { branding, issues } = parseWorkbook(wb);
+  expect(branding).toEqual({ title: "Partner dashboard" });
+  expect(issues.filter((i) => i.sheet === "Config").map((i) => [i.row, i.message])).toEqual([
+    [3, "Primary colour “blue” is not a valid hex colour"],
+    [4, "Logo “ftp://example.org/logo.png” is not a web address"],
+    [5, "Branding setting “Font” is unknown (Title, Logo, Primary colour, Secondary colour or Background)"],
+  ]);
+  const de = translator("de");
+  expect(issues.filter((i) => i.sheet === "Config").map((i) => messageText(de, i))).toEqual([
+    "Primary colour „blue“ ist keine gültige Hex-Farbe",
+    "Logo „ftp://example.org/logo.png“ ist keine Webadresse",
+    "Unbekannte Branding-Einstellung „Font“ (Title, Logo, Primary colour, Secondary colour oder Background)",
+  ]);
+});
@@ -0,0 +1,128 @@
+import * as XLSX from "xlsx";
+import { trim, norm, hex, isYearField } from "./helpers.js";
+import { parseStatusConfig, statusVocabulary } from "./statuses.js";
+import { parseLabelOverrides } from "./labels.js";
+import { parseBrandingConfig } from "./branding.js";
+import { validateSheets } from "./validate.js";
+
+/**
+ * ------------------------------------------------------------------
+ * Workbook – fetch + parse into the plain model the dashboard renders
+ * ------------------------------------------------------------------
+ * The model only holds structured-cloneable values (arrays, objects, Maps)
+ * so it can be stored as an offline snapshot as-is.
+ */
+
+export async function loadWorkbook(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Workbook request failed (${res.status})`);
+  const buf = await res.arrayBuffer();
+  return XLSX.read(buf, { type: "array" });
+}
+
+// Sheet ➜ [{ cells, rowNum }], `rowNum` being the 1-based spreadsheet row
+function readRows(sheet) {
+  if (!sheet) return [];
+  const raw = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: "", blankrows: true });
+  const firstRow = sheet["!ref"] ? XLSX.utils.decode_range(sheet["!ref"]).s.r + 1 : 1;
+  return raw.map((cells, i) => ({ cells, rowNum: firstRow + i }));
+}
+
+/**
+ * Data sheet ➜ { headers, body: [{ cells, rowNum }] }. The header row is the
+ * first one mentioning "measure"; `headers` is null when there is none.
+ */
+export function readSheet(sheet) {
+  const raw = readRows(sheet);
+  const headerIdx = raw.findIndex(({ cells }) => cells.some((c) => String(c).toLowerCase().includes("measure")));
+  if (headerIdx < 0) return { headers: null, body: [] };
+  return {
+    headers: raw[headerIdx].cells.map((h) => trim(h)),
+    body: raw.slice(headerIdx + 1).filter(({ cells }) => cells.some((c) => trim(c) !== "")),
+  };
+}
+
+const toRows = ({ headers, body }) =>
+  headers
+    ? body.map(({ cells }, i) => {
+        const obj = { id: i };
+        headers.forEach((h, idx) => (obj[h] = trim(cells[idx])));
+        return obj;
+      })
+    : []; // reported by the validation pass
+
+export const sheetToRows = (sheet) => toRows(readSheet(sheet));
+
+/**
+ * Config sheet layout (row 1 is just explanatory text – skip it):
+ *  A | Tag name
+ *  B | Tag colour (hex)
+ *  C | Portfolio name
+ *  D | Portfolio colour (hex)
+ *  F–J | Status vocabulary (see statuses.js)
+ *  K–L | Display overrides (see labels.js)
+ *  N–O | Branding (see branding.js)
+ */
+function parseConfig(cfgRows) {
+  const portSet = new Set();
+  const tagSet = new Set();
+  const portfolioColours = new Map(); // name ➜ hex
+  const tagColours = new Map(); // name ➜ hex
+
+  cfgRows.forEach(({ cells: r }) => {
+    const tagName = trim(r[0]); // col A
+    const tagColourHex = trim(r[1]); // col B
+    const portfolioName = trim(r[2]); // col C
+    const portfolioColourHex = trim(r[3]); // col D
+    if (portfolioName) {
+      portSet.add(portfolioName);
+      if (portfolioColourHex) portfolioColours.set(norm(portfolioName), hex(portfolioColourHex));
+    }
+    if (tagName) {
+      tagSet.add(tagName);
+      if (tagColourHex) tagColours.set(norm(tagName), hex(tagColourHex));
+    }
+  });
+
+  return {
+    portfolioOptions: [...portSet].sort(),
+    tagOptions: [...tagSet].sort(),
+    portfolioColours,
+    tagColours,
+    statuses: parseStatusConfig(cfgRows),
+    labelOverrides: parseLabelOverrides(cfgRows),
+    branding: parseBrandingConfig(cfgRows),
+  };
+}
+
+// Yearly cells written with a synonym ("in progress") ➜ the status name
+function canonicalStatuses(rows, vocab) {
+  rows.forEach((r) =>
+    Object.keys(r)
+      .filter(isYearField)
+      .forEach((f) => {
+        const key = vocab.canonical(r[f]);
+        if (key !== norm(String(r[f] ?? "")) && vocab.name(key)) r[f] = vocab.name(key);
+      })
+  );
+}
+
+// Data sheets = everything except Introduction + Config
+export const IGNORED_SHEETS = new Set(["Introduction", "Config"]);
+export const dataSheetNames = (wb) => wb.SheetNames.filter((n) => !IGNORED_SHEETS.has(n));
+
+/**
+ * Workbook ➜ { tabs, rowsByTab, portfolioOptions, tagOptions,
+ *              portfolioColours, tagColours, statuses, labelOverrides, branding, issues }
+ */
+export function parseWorkbook(wb) {
+  const tabs = dataSheetNames(wb);
+  const sheets = Object.fromEntries(tabs.map((name) => [name, readSheet(wb.Sheets[name])]));
+  const rowsByTab = Object.fromEntries(tabs.map((name) => [name, toRows(sheets[name])]));
+  const [, ...cfgRows] = readRows(wb.Sheets.Config); // skip first row (metadata)
+  const config = parseConfig(cfgRows);
+  const issues = validateSheets({ sheets, cfgRows, hasConfig: Boolean(wb.Sheets.Config), config });
+  const vocab = statusVocabulary(config.statuses);
+  tabs.forEach((name) => canonicalStatuses(rowsByTab[name], vocab));
+  return { tabs, rowsByTab, ...config, issues };
+}